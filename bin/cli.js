@@ -5,25 +5,145 @@
  *
  * Provides command-line interface for the application:
  * - serve: Start the web server (default command)
- * - import: Manually trigger session import
+ * - import: Manually trigger session import (reports throughput, --report
+ *   lists files that failed, had parse errors or were empty)
+ * - redact: Mask secrets already stored in the database
+ * - audit-secrets: List the secrets found in stored messages (table, JSON or CSV)
+ * - plugins: List importer plugins and whether they loaded
  *
  * Usage:
  * - npx vibecoding-chronicle serve --port 3000
  * - npx vibecoding-chronicle serve --dev --no-open
  * - vcc serve (if installed globally)
+ * - vcc import --full --workers 4 --db /tmp/bench.db --source claude=./fixtures/claude
  */
 
+import { availableParallelism, homedir } from 'os';
 import { Command } from 'commander';
 import { startServer } from '../src/server/index.js';
 import { importAllSessions } from '../src/importers/index.js';
-import { initDb } from '../src/db/index.js';
+import { loadPlugins } from '../src/importers/plugins.js';
+import { getEnabledTools } from '../src/tools.config.js';
+import {
+  initDb,
+  clearImportState,
+  getImportLog,
+  getImportSummary,
+  redactStoredSecrets,
+  findStoredSecrets,
+  refreshStaleSessionTerms
+} from '../src/db/index.js';
+import { isMaskOnImport, buildSecretAudit, secretAuditToCsv } from '../src/secrets.js';
 
 const program = new Command();
 
+// Leave a core for the server; SQLite commits are serialized anyway
+const DEFAULT_WORKERS = String(Math.max(1, Math.min(4, availableParallelism() - 1)));
+
+/**
+ * Print import progress on one updating line (only when attached to a terminal)
+ * and keep the running totals for the final summary
+ */
+function createProgressReporter() {
+  const startedAt = Date.now();
+  let last = { done: 0, total: 0, imported: 0, records: 0, bytes: 0 };
+  let printedAt = 0;
+
+  return {
+    onProgress(progress) {
+      last = progress;
+      const now = Date.now();
+      if (!process.stdout.isTTY || (now - printedAt < 100 && progress.done < progress.total)) return;
+      printedAt = now;
+      const percent = Math.floor((progress.done / progress.total) * 100);
+      process.stdout.write(`\r   ${progress.done}/${progress.total} files (${percent}%), ${formatBytes(progress.bytes)}   `);
+    },
+
+    finish() {
+      if (process.stdout.isTTY && last.total > 0) process.stdout.write('\n');
+      const seconds = (Date.now() - startedAt) / 1000;
+      return { ...last, seconds };
+    }
+  };
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+// Print rows of strings as aligned columns (the last one isn't padded)
+function printTable(header, rows) {
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  const format = (row) => '   ' + row.map((cell, i) => (i < row.length - 1 ? cell.padEnd(widths[i]) : cell)).join('  ');
+  console.log(format(header));
+  rows.forEach(row => console.log(format(row)));
+}
+
+/**
+ * Print the import log: file counts per tool and status, then the files
+ * that need attention with the first error for each
+ */
+function printImportReport(limit = 50) {
+  const summary = {};
+  for (const row of getImportSummary()) {
+    summary[row.tool] = summary[row.tool] || [];
+    summary[row.tool].push(`${row.status} ${row.count}`);
+  }
+
+  console.log('\n📋 Import report');
+  for (const [tool, counts] of Object.entries(summary)) {
+    console.log(`   ${tool.padEnd(8)} ${counts.join(', ')}`);
+  }
+
+  const problems = getImportLog({ status: 'problems', limit: limit + 1 });
+  if (problems.length === 0) {
+    console.log('   No problems found');
+    return;
+  }
+
+  const home = homedir();
+  const rows = problems.slice(0, limit).map(entry => {
+    const first = entry.error_lines[0];
+    const detail = entry.error ||
+      (first ? `${first.line ? `line ${first.line}: ` : ''}${first.message}` : '') +
+      (entry.parse_errors > 1 ? ` (+${entry.parse_errors - 1} more)` : '');
+    return [
+      entry.status,
+      entry.tool || '',
+      String(entry.records),
+      entry.file_path.startsWith(home) ? '~' + entry.file_path.slice(home.length) : entry.file_path,
+      detail
+    ];
+  });
+
+  console.log('');
+  printTable(['STATUS', 'TOOL', 'RECORDS', 'FILE', 'DETAIL'], rows);
+  if (problems.length > limit) {
+    console.log(`   ... more in GET /api/imports?status=problems`);
+  }
+}
+
+// --source claude=/path/to/corpus (repeatable)
+function parseSources(specs) {
+  if (!specs) return null;
+  const sources = {};
+  for (const spec of specs) {
+    const [tool, ...path] = spec.split('=');
+    if (!tool || path.length === 0) {
+      console.error(`Invalid --source "${spec}" (expected <tool>=<path>)`);
+      process.exit(1);
+    }
+    sources[tool] = path.join('=');
+  }
+  return sources;
+}
+
 program
   .name('vibecoding-chronicle')
   .alias('vcc')
-  .description('Beautiful explorer for AI coding assistant transcripts\n\n  Browse and search your Claude Code, Codex CLI, and Gemini CLI conversations.\n  Tag important solutions, filter by project/date, and never lose that code again.')
+  .description('Beautiful explorer for AI coding assistant transcripts\n\n  Browse and search your Claude Code, Codex CLI, Gemini CLI, Aider, Cline, Roo Code and Cursor conversations.\n  Tag important solutions, filter by project/date, and never lose that code again.')
   .version('1.0.0');
 
 program
@@ -33,19 +153,26 @@ program
   .option('--no-open', 'Do not open browser automatically')
   .option('--no-watch', 'Do not watch for new sessions')
   .option('--dev', 'Development mode with verbose logging')
+  .option('-w, --workers <number>', 'Worker threads for the initial import', DEFAULT_WORKERS)
   .action(async (options) => {
     const port = parseInt(options.port);
     console.log('🚀 Starting Vibecoding Chronicle...');
 
     // Initialize database
     await initDb();
+    await loadPlugins();
 
     // Import sessions
     console.log('📥 Importing sessions...');
-    const stats = await importAllSessions();
-    console.log(`   Claude: ${stats.claude} sessions`);
-    console.log(`   Codex: ${stats.codex} sessions`);
-    console.log(`   Gemini: ${stats.gemini} sessions`);
+    const progress = createProgressReporter();
+    const stats = await importAllSessions({
+      workers: parseInt(options.workers),
+      onProgress: progress.onProgress
+    });
+    progress.finish();
+    for (const tool of getEnabledTools()) {
+      console.log(`   ${tool.name}: ${stats[tool.id] || 0} sessions`);
+    }
 
     // Start server
     await startServer({
@@ -59,11 +186,123 @@ program
 program
   .command('import')
   .description('Import sessions without starting server')
-  .action(async () => {
-    await initDb();
+  .option('-w, --workers <number>', 'Worker threads to spread files across', DEFAULT_WORKERS)
+  .option('--full', 'Ignore import progress and re-read every file')
+  .option('--db <path>', 'Use this database file instead of ~/.vibecoding-chronicle/chronicle.db')
+  .option('--source <tool=path...>', 'Import only these tools, from these folders (e.g. a fixture corpus)')
+  .option('--report', 'Show the import log: files that failed, had parse errors or were empty')
+  .action(async (options) => {
+    const sources = parseSources(options.source);
+    await initDb({ path: options.db });
+    await loadPlugins();
+    if (options.full) {
+      if (sources) {
+        Object.keys(sources).forEach(tool => clearImportState(tool));
+      } else {
+        clearImportState();
+      }
+    }
+
     console.log('📥 Importing sessions...');
-    const stats = await importAllSessions();
-    console.log(`✅ Imported: Claude ${stats.claude}, Codex ${stats.codex}, Gemini ${stats.gemini}`);
+    const progress = createProgressReporter();
+    const stats = await importAllSessions({
+      workers: parseInt(options.workers),
+      sources,
+      onProgress: progress.onProgress
+    });
+    const totals = progress.finish();
+
+    const imported = Object.entries(stats).map(([tool, count]) => `${tool} ${count}`).join(', ');
+    console.log(`✅ Imported: ${imported}`);
+
+    // Throughput, e.g. to compare runs against a fixture corpus
+    const seconds = Math.max(totals.seconds, 0.001);
+    console.log(
+      `📊 ${totals.done} files, ${formatBytes(totals.bytes)}, ${totals.records} records in ${totals.seconds.toFixed(2)}s` +
+      ` (${formatBytes(totals.bytes / seconds)}/s, ${Math.round(totals.records / seconds)} records/s)`
+    );
+
+    // Terms for related sessions (the server computes them in the background)
+    const refreshed = refreshStaleSessionTerms();
+    if (refreshed > 0) console.log(`🔗 Terms for related sessions: ${refreshed} sessions`);
+
+    if (options.report) {
+      printImportReport();
+    }
+  });
+
+program
+  .command('redact')
+  .description('Mask secrets already stored in the database with the current patterns (config.json "secrets")')
+  .option('--db <path>', 'Use this database file instead of ~/.vibecoding-chronicle/chronicle.db')
+  .action(async (options) => {
+    await initDb({ path: options.db });
+
+    console.log('🔒 Masking stored secrets...');
+    const changed = redactStoredSecrets();
+    console.log(`✅ Masked ${changed.messages} messages, ${changed.prompts} prompts, ${changed.sessions} session summaries`);
+
+    if (!isMaskOnImport()) {
+      console.log('   New imports are still stored unmasked: set "secrets": { "maskOnImport": true } in config.json');
+    }
+  });
+
+program
+  .command('audit-secrets')
+  .description('List secrets found in stored messages, to know which keys to rotate')
+  .option('-f, --format <format>', 'Output format: table, json or csv', 'table')
+  .option('--db <path>', 'Use this database file instead of ~/.vibecoding-chronicle/chronicle.db')
+  .action(async (options) => {
+    if (!['table', 'json', 'csv'].includes(options.format)) {
+      console.error(`Invalid --format "${options.format}" (expected table, json or csv)`);
+      process.exit(1);
+    }
+    await initDb({ path: options.db });
+
+    const { hits, scanned, messages } = findStoredSecrets();
+    const secrets = buildSecretAudit(hits);
+
+    if (options.format === 'json') {
+      console.log(JSON.stringify({ secrets, meta: { scanned, messages, hits: hits.length } }, null, 2));
+      return;
+    }
+    if (options.format === 'csv') {
+      process.stdout.write(secretAuditToCsv(secrets));
+      return;
+    }
+
+    console.log(`🔑 ${secrets.length} secrets in ${messages} of ${scanned} messages`);
+    if (secrets.length === 0) return;
+
+    const when = (timestamp) => (timestamp ? timestamp.slice(0, 16).replace('T', ' ') : '');
+    const rows = [];
+    for (const secret of secrets) {
+      for (const hit of secret.hits) {
+        rows.push([secret.type, secret.preview, secret.fingerprint, when(secret.first_seen), hit.session_id, hit.message_id]);
+      }
+    }
+    console.log('');
+    printTable(['TYPE', 'SECRET', 'FINGERPRINT', 'FIRST SEEN', 'SESSION', 'MESSAGE'], rows);
+  });
+
+program
+  .command('plugins')
+  .description('List importer plugins (~/.vibecoding-chronicle/plugins, config.json "plugins")')
+  .action(async () => {
+    const plugins = await loadPlugins();
+    if (plugins.length === 0) {
+      console.log('No plugins found');
+      return;
+    }
+
+    for (const plugin of plugins) {
+      if (plugin.error) {
+        console.log(`❌ ${plugin.source}: ${plugin.error}`);
+      } else {
+        const version = plugin.version ? ` ${plugin.version}` : '';
+        console.log(`🧩 ${plugin.name} (${plugin.id})${version} - ${plugin.source}`);
+      }
+    }
   });
 
 program.parse();
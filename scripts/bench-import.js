@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Import Benchmark
+ *
+ * Generates a corpus of Claude Code and Codex CLI transcripts (user prompts,
+ * replies, tool calls and their outputs) and imports it into a scratch
+ * database with `vcc import --full`, once in-process and once with worker
+ * threads, then reports records per second for each run.
+ *
+ * The corpus is seeded, so runs on the same machine can be compared before
+ * and after a change. Nothing outside the scratch folder is touched: the
+ * imports run with HOME pointing there, so user config and plugins don't
+ * apply.
+ *
+ * Usage:
+ * - npm run bench:import
+ * - node scripts/bench-import.js --sessions 48 --records 5000 --workers 4
+ * - node scripts/bench-import.js --keep (leave the corpus and databases for a look)
+ */
+
+import { execFileSync } from 'child_process';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { Command } from 'commander';
+
+const CLI = join(dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'cli.js');
+
+const WORDS = `the import reads each transcript line by line and writes messages in batches
+  so memory stays flat while the index grows function returns error value config cache
+  request response database query session project branch commit test build deploy`.split(/\s+/);
+
+// Seeded pseudo-random numbers (same corpus on every run)
+function createRandom(seed) {
+  let state = seed;
+  return (max) => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state % max;
+  };
+}
+
+function createText(random) {
+  return (minWords, maxWords) => {
+    const count = minWords + random(maxWords - minWords + 1);
+    return Array.from({ length: count }, () => WORDS[random(WORDS.length)]).join(' ');
+  };
+}
+
+/**
+ * Claude Code session: prompt, reply with a tool call, tool result, ...
+ * @returns {number} Records written
+ */
+function writeClaudeSession(file, index, records, text) {
+  const lines = [];
+  let parent = null;
+  const add = (record) => {
+    const uuid = `c${index}-${lines.length}`;
+    lines.push(JSON.stringify({
+      ...record,
+      uuid,
+      parentUuid: parent,
+      sessionId: `bench-claude-${index}`,
+      cwd: '/tmp/bench-project',
+      gitBranch: 'main',
+      version: '1.0.0',
+      timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, lines.length)).toISOString()
+    }));
+    parent = uuid;
+  };
+
+  while (lines.length < records) {
+    const toolId = `toolu_${index}_${lines.length}`;
+    add({ type: 'user', message: { role: 'user', content: text(5, 60) } });
+    add({
+      type: 'assistant',
+      message: {
+        role: 'assistant',
+        model: 'claude-sonnet-4-5',
+        content: [
+          { type: 'text', text: text(10, 120) },
+          { type: 'tool_use', id: toolId, name: 'Bash', input: { command: `grep -rn ${text(1, 1)} src` } }
+        ],
+        usage: { input_tokens: 1200, output_tokens: 300, cache_read_input_tokens: 9000 }
+      }
+    });
+    add({
+      type: 'user',
+      message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: toolId, content: text(20, 400) }] }
+    });
+  }
+  writeFileSync(file, lines.join('\n') + '\n');
+  return lines.length;
+}
+
+/**
+ * Codex CLI rollout: session meta, then prompt, reply, function call and output
+ * @returns {number} Records written
+ */
+function writeCodexSession(file, index, records, text) {
+  const lines = [];
+  const add = (type, payload) => {
+    lines.push(JSON.stringify({
+      timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, lines.length)).toISOString(),
+      type,
+      payload
+    }));
+  };
+
+  add('session_meta', { cwd: '/tmp/bench-project', cli_version: '0.50.0', git: { branch: 'main' } });
+  add('turn_context', { model: 'gpt-5-codex' });
+  while (lines.length < records) {
+    const callId = `call_${index}_${lines.length}`;
+    add('response_item', { type: 'message', role: 'user', content: [{ type: 'input_text', text: text(5, 60) }] });
+    add('response_item', { type: 'message', role: 'assistant', content: [{ type: 'output_text', text: text(10, 120) }] });
+    add('response_item', { type: 'function_call', name: 'shell', call_id: callId, arguments: JSON.stringify({ command: ['ls', '-la'] }) });
+    add('response_item', { type: 'function_call_output', call_id: callId, output: text(20, 400) });
+  }
+  writeFileSync(file, lines.join('\n') + '\n');
+  return lines.length;
+}
+
+/**
+ * Write the corpus: half the sessions for each tool
+ * @returns {{ claude: string, codex: string, records: number }}
+ */
+function writeCorpus(root, sessions, records) {
+  const random = createRandom(42);
+  const text = createText(random);
+  const claude = join(root, 'claude');
+  const codex = join(root, 'codex');
+  const claudeProject = join(claude, '-tmp-bench-project');
+  const codexDay = join(codex, '2026', '01', '01');
+  mkdirSync(claudeProject, { recursive: true });
+  mkdirSync(codexDay, { recursive: true });
+
+  let total = 0;
+  for (let i = 0; i < sessions; i++) {
+    const id = `00000000-0000-4000-8000-${String(i).padStart(12, '0')}`;
+    total += i % 2 === 0
+      ? writeClaudeSession(join(claudeProject, `${id}.jsonl`), i, records, text)
+      : writeCodexSession(join(codexDay, `rollout-2026-01-01T00-00-00-${id}.jsonl`), i, records, text);
+  }
+  return { claude, codex, records: total };
+}
+
+// Import the corpus into a fresh database; returns the CLI's throughput line
+function runImport(root, corpus, workers) {
+  const output = execFileSync(process.execPath, [
+    CLI, 'import', '--full',
+    '--db', join(root, `bench-${workers}.db`),
+    '--workers', String(workers),
+    '--source', `claude=${corpus.claude}`, `codex=${corpus.codex}`
+  ], {
+    encoding: 'utf-8',
+    env: { ...process.env, HOME: root, USERPROFILE: root },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  const line = output.split('\n').find(l => l.includes('records/s'));
+  const match = line?.match(/(\d+) records in ([\d.]+)s/);
+  if (!match) {
+    throw new Error(`No throughput in the import output:\n${output}`);
+  }
+  return { records: parseInt(match[1]), seconds: parseFloat(match[2]) };
+}
+
+const program = new Command();
+
+program
+  .name('bench-import')
+  .description('Measure import throughput on a generated transcript corpus')
+  .option('-s, --sessions <number>', 'Sessions to generate (half Claude Code, half Codex CLI)', '24')
+  .option('-r, --records <number>', 'Records per session', '2000')
+  .option('-w, --workers <number>', 'Worker threads for the second run', '4')
+  .option('--keep', 'Keep the corpus and databases')
+  .action((options) => {
+    const root = mkdtempSync(join(tmpdir(), 'vcc-bench-'));
+    try {
+      const corpus = writeCorpus(root, parseInt(options.sessions), parseInt(options.records));
+      console.log(`Corpus: ${options.sessions} sessions, ${corpus.records} records in ${root}`);
+
+      const runs = [1, parseInt(options.workers)].filter((n, i, all) => all.indexOf(n) === i);
+      for (const workers of runs) {
+        const { records, seconds } = runImport(root, corpus, workers);
+        const label = workers === 1 ? 'in-process' : `--workers ${workers}`;
+        console.log(`${label.padEnd(12)} ${records} records in ${seconds.toFixed(2)}s: ${Math.round(records / Math.max(seconds, 0.001))} records/s`);
+      }
+    } finally {
+      if (options.keep) {
+        console.log(`Kept ${root}`);
+      } else {
+        rmSync(root, { recursive: true, force: true });
+      }
+    }
+  });
+
+program.parse();
@@ -0,0 +1,61 @@
+/**
+ * User Configuration
+ *
+ * Reads ~/.vibecoding-chronicle/config.json, the settings that live outside
+ * the package and survive upgrades:
+ *
+ *   {
+ *     "plugins": ["chronicle-plugin-foo", "./my-plugin.mjs"],
+ *     "tools": { "claude": { "roots": ["~/.claude/projects"] }, "aider": { "roots": ["~/code"] } },
+ *     "prices": { "my-model": { "input": 1, "output": 2 } },
+ *     "secrets": { "maskOnImport": true, "patterns": ["acme_[a-z0-9]{32}"] }
+ *   }
+ *
+ * A missing file means defaults. A file that can't be parsed is reported
+ * once and ignored, so a typo never stops the server.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { homedir } from 'os';
+import { join, resolve } from 'path';
+
+export const DATA_DIR = join(homedir(), '.vibecoding-chronicle');
+export const CONFIG_PATH = join(DATA_DIR, 'config.json');
+
+let config = null;
+
+/**
+ * Get the user configuration (read once, then cached)
+ * @returns {Object} Parsed config.json, or {} when there is none
+ */
+export function getConfig() {
+  if (!config) {
+    config = loadConfig(CONFIG_PATH);
+  }
+  return config;
+}
+
+function loadConfig(path) {
+  if (!existsSync(path)) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(readFileSync(path, 'utf-8'));
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (err) {
+    console.warn(`⚠️  Ignoring ${path}: ${err.message}`);
+    return {};
+  }
+}
+
+/**
+ * Resolve a configured path: "~" is the home directory, relative paths are
+ * relative to the data directory
+ */
+export function resolveConfigPath(path) {
+  if (path === '~' || path.startsWith('~/')) {
+    return join(homedir(), path.slice(1));
+  }
+  return resolve(DATA_DIR, path);
+}
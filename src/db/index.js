@@ -6,21 +6,42 @@
  * - Messages: Individual messages within sessions
  * - Stars: User-added tags on specific messages
  * - Tags: Custom tag definitions with labels
+ * - Import state: Per-file progress for incremental re-import
+ * - Imports: Per-file outcome of the last import (diagnostics for missing sessions)
+ * - Prompts: Every prompt from the tools' prompt history files, kept even
+ *   when the session transcript is gone
+ * - Deleted sessions: Tombstones of sessions the user deleted, so importers
+ *   don't bring them back
+ * - Session terms: Term counts per session, for related sessions
  *
- * Data is stored in ~/.vibecoding-chronicle/chronicle.db
+ * Data is stored in ~/.vibecoding-chronicle/chronicle.db (overridable, e.g. for
+ * benchmarking imports against a throwaway database).
  * Full-text search is enabled via SQLite FTS5 extension.
+ * With secrets.maskOnImport set, text is masked before it is written.
  */
 
 import Database from 'better-sqlite3';
 import { existsSync, mkdirSync } from 'fs';
 import { homedir } from 'os';
-import { join } from 'path';
+import { join, dirname } from 'path';
+import { maskSecrets, maskValue, findSecrets, isMaskOnImport } from '../secrets.js';
+import { toFtsQuery } from '../query.js';
+import { extractTerms, topTerms, pickKeyTerms, scoreRelatedSessions } from '../related.js';
 
 // Data directory in user's home
 const DATA_DIR = join(homedir(), '.vibecoding-chronicle');
 const DB_PATH = join(DATA_DIR, 'chronicle.db');
 
 let db = null;
+let dbPath = DB_PATH;
+
+// Columns of messages_fts. Changing them rebuilds the index on the next start
+const FTS_COLUMNS = ['message_id', 'session_id', 'content', 'thinking', 'tool_input', 'tool_output'];
+// Messages with something to index
+const FTS_INDEXED = 'COALESCE(content, thinking, tool_name, tool_output) IS NOT NULL';
+
+// Tombstoned session ids (see deleteSessions), checked on every write
+let deletedSessionIds = new Set();
 
 export function getDb() {
   if (!db) {
@@ -29,14 +50,32 @@ export function getDb() {
   return db;
 }
 
-export function initDb() {
+// Path of the open database (import workers open their own connection to it)
+export function getDbPath() {
+  return dbPath;
+}
+
+/**
+ * Open the database and bring its schema up to date
+ * @param {Object} options - { path: database file, worker: an import worker's
+ *   connection (the main thread has already done the startup work) }
+ */
+export function initDb(options = {}) {
+  dbPath = options.path || DB_PATH;
+
   // Ensure data directory exists
-  if (!existsSync(DATA_DIR)) {
-    mkdirSync(DATA_DIR, { recursive: true });
+  if (!existsSync(dirname(dbPath))) {
+    mkdirSync(dirname(dbPath), { recursive: true });
   }
 
-  db = new Database(DB_PATH);
+  db = new Database(dbPath);
   db.pragma('journal_mode = WAL');
+  db.function('tool_input_text', { deterministic: true }, (name, input) => toolSearchText(name, input));
+  if (isMaskOnImport()) {
+    // Overwrite deleted rows (e.g. messages replaced on re-import) instead of
+    // leaving their text in free pages
+    db.pragma('secure_delete = ON');
+  }
 
   // Create tables using better-sqlite3's run method for DDL
   const schema = `
@@ -49,6 +88,11 @@ export function initDb() {
       ended_at TEXT,
       message_count INTEGER DEFAULT 0,
       summary TEXT,
+      git_branch TEXT,
+      cli_version TEXT,
+      source_label TEXT,
+      models TEXT,
+      archived_at TEXT,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP
     );
 
@@ -61,8 +105,17 @@ export function initDb() {
       tool_name TEXT,
       tool_input TEXT,
       tool_output TEXT,
+      tool_error INTEGER DEFAULT 0,
       thinking TEXT,
+      parent_id TEXT,
+      is_sidechain INTEGER DEFAULT 0,
       position INTEGER,
+      model TEXT,
+      input_tokens INTEGER,
+      output_tokens INTEGER,
+      cache_read_tokens INTEGER,
+      cache_creation_tokens INTEGER,
+      response_id TEXT,
       FOREIGN KEY (session_id) REFERENCES sessions(id)
     );
 
@@ -77,15 +130,20 @@ export function initDb() {
     );
 
     CREATE INDEX IF NOT EXISTS idx_messages_session ON messages(session_id);
+    CREATE INDEX IF NOT EXISTS idx_messages_position ON messages(session_id, position);
     CREATE INDEX IF NOT EXISTS idx_sessions_tool ON sessions(tool);
     CREATE INDEX IF NOT EXISTS idx_sessions_project ON sessions(project);
     CREATE INDEX IF NOT EXISTS idx_stars_session ON stars(session_id);
 
-    -- FTS5 virtual table for full-text search on messages
+    -- FTS5 virtual table for full-text search on messages. Its rowid is the
+    -- message's rowid and each searchable field is a column (see FTS_COLUMNS)
     CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
-      message_id,
-      session_id,
+      message_id UNINDEXED,
+      session_id UNINDEXED,
       content,
+      thinking,
+      tool_input,
+      tool_output,
       tokenize='unicode61'
     );
 
@@ -94,8 +152,118 @@ export function initDb() {
       label TEXT NOT NULL,
       position INTEGER DEFAULT 0
     );
+
+    -- How far each source file has been imported (byte offset for JSONL,
+    -- record count for both), so growing sessions only append new records
+    CREATE TABLE IF NOT EXISTS import_state (
+      file_path TEXT PRIMARY KEY,
+      session_id TEXT,
+      tool TEXT,
+      size INTEGER NOT NULL,
+      mtime REAL NOT NULL,
+      offset INTEGER DEFAULT 0,
+      records INTEGER DEFAULT 0,
+      lines INTEGER DEFAULT 0,
+      checksum TEXT,
+      fingerprints TEXT,
+      imported_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS imports (
+      file_path TEXT PRIMARY KEY,
+      tool TEXT,
+      session_id TEXT,
+      status TEXT NOT NULL,
+      records INTEGER DEFAULT 0,
+      parse_errors INTEGER DEFAULT 0,
+      error_lines TEXT,
+      error TEXT,
+      imported_at TEXT,
+      checked_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_imports_status ON imports(status);
+
+    -- Prompt history (~/.claude/history.jsonl, ~/.codex/history.jsonl).
+    -- session_id may point at a session that was never imported or is gone
+    CREATE TABLE IF NOT EXISTS prompts (
+      id TEXT PRIMARY KEY,
+      tool TEXT NOT NULL,
+      session_id TEXT,
+      project TEXT,
+      project_path TEXT,
+      text TEXT NOT NULL,
+      timestamp TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_prompts_timestamp ON prompts(timestamp);
+    CREATE INDEX IF NOT EXISTS idx_prompts_session ON prompts(session_id);
+
+    -- Token usage rolled up per session, model and day (see refreshSessionUsage).
+    -- Costs are estimated when read, so price changes apply to old sessions
+    CREATE TABLE IF NOT EXISTS session_usage (
+      session_id TEXT NOT NULL,
+      model TEXT NOT NULL,
+      day TEXT NOT NULL,
+      messages INTEGER DEFAULT 0,
+      input_tokens INTEGER DEFAULT 0,
+      output_tokens INTEGER DEFAULT 0,
+      cache_read_tokens INTEGER DEFAULT 0,
+      cache_creation_tokens INTEGER DEFAULT 0,
+      PRIMARY KEY (session_id, model, day)
+    );
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS prompts_fts USING fts5(
+      prompt_id UNINDEXED,
+      text,
+      tokenize='unicode61'
+    );
+
+    -- Sessions the user deleted. Their files stay on disk, so the importers
+    -- check this list instead of bringing them back on the next import
+    CREATE TABLE IF NOT EXISTS deleted_sessions (
+      id TEXT PRIMARY KEY,
+      tool TEXT,
+      project TEXT,
+      deleted_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Most frequent terms of each session's messages (see refreshSessionTerms),
+    -- and how many terms each session has in all
+    CREATE TABLE IF NOT EXISTS session_terms (
+      session_id TEXT NOT NULL,
+      term TEXT NOT NULL,
+      count INTEGER NOT NULL,
+      PRIMARY KEY (session_id, term)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_session_terms_term ON session_terms(term);
+
+    CREATE TABLE IF NOT EXISTS session_term_stats (
+      session_id TEXT PRIMARY KEY,
+      length INTEGER NOT NULL
+    );
+
+    -- Sessions whose terms are out of date: imports mark them and the terms
+    -- are recomputed later, in one pass (see refreshStaleSessionTerms)
+    CREATE TABLE IF NOT EXISTS stale_session_terms (
+      session_id TEXT PRIMARY KEY
+    );
   `;
 
+  // An index built with other columns is dropped here, created again by the
+  // schema and refilled by the rebuild check below
+  const ftsColumns = db.prepare("SELECT name FROM pragma_table_info('messages_fts')").pluck().all();
+  if (ftsColumns.length > 0 && ftsColumns.join(',') !== FTS_COLUMNS.join(',')) {
+    db.prepare('DROP TABLE messages_fts').run();
+  }
+  // The prompt index used to search its (hex) IDs too: dropped and refilled
+  // the same way
+  const promptsFtsSql = db.prepare("SELECT sql FROM sqlite_master WHERE name = 'prompts_fts'").pluck().get();
+  if (promptsFtsSql && !promptsFtsSql.includes('prompt_id UNINDEXED')) {
+    db.prepare('DROP TABLE prompts_fts').run();
+  }
+
   // Run schema using the database's native method
   db.prepare(schema.split(';').filter(s => s.trim())[0] + ';').run();
 
@@ -103,23 +271,84 @@ export function initDb() {
   // This is SQLite's exec, NOT child_process.exec - completely safe
   runSchema(db, schema);
 
+  // Columns added after the initial release (CREATE TABLE IF NOT EXISTS won't add them)
+  const addedMessageColumns = ensureColumns(db, 'messages', {
+    tool_error: 'INTEGER DEFAULT 0',
+    parent_id: 'TEXT',
+    is_sidechain: 'INTEGER DEFAULT 0',
+    model: 'TEXT',
+    input_tokens: 'INTEGER',
+    output_tokens: 'INTEGER',
+    cache_read_tokens: 'INTEGER',
+    cache_creation_tokens: 'INTEGER',
+    response_id: 'TEXT'
+  });
+  const addedSessionColumns = ensureColumns(db, 'sessions', {
+    git_branch: 'TEXT',
+    cli_version: 'TEXT',
+    source_label: 'TEXT',
+    models: 'TEXT',
+    archived_at: 'TEXT'
+  });
+  ensureColumns(db, 'import_state', {
+    lines: 'INTEGER DEFAULT 0',
+    checksum: 'TEXT',
+    fingerprints: 'TEXT'
+  });
+
+  // Project identity now comes from the recorded cwd: re-read JSONL sources once
+  if (addedSessionColumns.includes('git_branch')) {
+    db.prepare("DELETE FROM import_state WHERE tool IN ('claude', 'codex')").run();
+  }
+  // Claude conversation trees need a full re-read to fill in parent links
+  if (addedMessageColumns.includes('parent_id')) {
+    db.prepare("DELETE FROM import_state WHERE tool = 'claude'").run();
+  }
+  // Model and token usage were dropped by earlier versions
+  if (addedMessageColumns.includes('model')) {
+    db.prepare("DELETE FROM import_state WHERE tool IN ('claude', 'codex')").run();
+  }
+  // Fill in the model set of existing sessions, and re-read the formats
+  // whose models were dropped before
+  if (addedSessionColumns.includes('models')) {
+    db.prepare(`UPDATE sessions SET models = ${SESSION_MODELS_SQL}`).run();
+    db.prepare("DELETE FROM import_state WHERE tool IN ('gemini', 'aider', 'cursor')").run();
+  }
+
   // Insert default tags if none exist
   initDefaultTags();
 
+  loadDeletedSessionIds();
+
   // Check if FTS needs rebuild (after schema changes or first run)
   try {
     const ftsCount = db.prepare('SELECT COUNT(*) as cnt FROM messages_fts').get();
-    const msgCount = db.prepare('SELECT COUNT(*) as cnt FROM messages WHERE content IS NOT NULL').get();
+    const msgCount = db.prepare(`SELECT COUNT(*) as cnt FROM messages WHERE ${FTS_INDEXED}`).get();
 
     if (ftsCount.cnt === 0 && msgCount.cnt > 0) {
       console.log('  Building search index...');
       const indexed = rebuildFtsIndex();
       console.log(`  Indexed ${indexed} messages for full-text search`);
     }
+
+    const promptFtsCount = db.prepare('SELECT COUNT(*) as cnt FROM prompts_fts').get();
+    const promptCount = db.prepare('SELECT COUNT(*) as cnt FROM prompts').get();
+    if (promptFtsCount.cnt === 0 && promptCount.cnt > 0) {
+      rebuildPromptsFtsIndex();
+    }
   } catch (err) {
     console.error('  FTS init error:', err.message);
   }
 
+  // Sessions imported before terms were kept get them like freshly imported
+  // ones, later (see refreshStaleSessionTerms)
+  if (!options.worker) {
+    db.prepare(`
+      INSERT OR IGNORE INTO stale_session_terms (session_id)
+      SELECT id FROM sessions WHERE id NOT IN (SELECT session_id FROM session_term_stats)
+    `).run();
+  }
+
   return db;
 }
 
@@ -154,17 +383,60 @@ function runSchema(database, sql) {
   }
 }
 
+// Add missing columns to an existing table (SQLite has no ADD COLUMN IF NOT EXISTS)
+// Returns the names of the columns that were added
+function ensureColumns(database, table, columns) {
+  const existing = new Set(
+    database.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name)
+  );
+  const added = [];
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existing.has(name)) {
+      database.prepare(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`).run();
+      added.push(name);
+    }
+  }
+  return added;
+}
+
 // Session operations
+// Text as it should be stored: masked when secrets.maskOnImport is set
+function storedText(text) {
+  return text && isMaskOnImport() ? maskSecrets(text) : text;
+}
+
 export function upsertSession(session) {
+  if (deletedSessionIds.has(session.id)) return { changes: 0 };
   const stmt = db.prepare(`
-    INSERT INTO sessions (id, tool, project, project_path, started_at, ended_at, message_count, summary)
-    VALUES (@id, @tool, @project, @project_path, @started_at, @ended_at, @message_count, @summary)
+    INSERT INTO sessions (id, tool, project, project_path, started_at, ended_at, message_count, summary, git_branch, cli_version)
+    VALUES (@id, @tool, @project, @project_path, @started_at, @ended_at, @message_count, @summary, @git_branch, @cli_version)
     ON CONFLICT(id) DO UPDATE SET
+      project = COALESCE(@project, project),
+      project_path = COALESCE(@project_path, project_path),
+      started_at = COALESCE(started_at, @started_at),
       message_count = @message_count,
-      ended_at = @ended_at,
-      summary = @summary
+      ended_at = COALESCE(@ended_at, ended_at),
+      summary = COALESCE(@summary, summary),
+      git_branch = COALESCE(@git_branch, git_branch),
+      cli_version = COALESCE(@cli_version, cli_version)
   `);
-  return stmt.run(session);
+  return stmt.run({ git_branch: null, cli_version: null, ...session, summary: storedText(session.summary) });
+}
+
+// Create a placeholder row so messages can be written before the session's
+// metadata is known (large files are imported in batches); upsertSession fills it in
+export function ensureSession(id, tool) {
+  if (deletedSessionIds.has(id)) return { changes: 0 };
+  return db.prepare('INSERT OR IGNORE INTO sessions (id, tool) VALUES (?, ?)').run(id, tool);
+}
+
+// Label of the root (e.g. the machine) the sessions were imported from
+export function setSessionSourceLabel(sessionIds, label) {
+  const stmt = db.prepare('UPDATE sessions SET source_label = ? WHERE id = ?');
+  const update = db.transaction((ids) => {
+    for (const id of ids) stmt.run(label, id);
+  });
+  update(sessionIds);
 }
 
 export function getSession(id) {
@@ -186,44 +458,291 @@ export function getSessionsCount() {
   return result.count;
 }
 
+// Session list orders. All columns sort in one direction, so a cursor can be
+// compared with them as a row value
+const SESSION_SORTS = {
+  newest: { columns: ["COALESCE(started_at, '')", 'id'], direction: 'DESC' },
+  oldest: { columns: ["COALESCE(started_at, '')", 'id'], direction: 'ASC' },
+  longest: { columns: ['message_count', "COALESCE(started_at, '')", 'id'], direction: 'DESC' },
+  tagged: { columns: ['tag_count', "COALESCE(started_at, '')", 'id'], direction: 'DESC' }
+};
+export const SESSION_SORT_ORDERS = Object.keys(SESSION_SORTS);
+
+/**
+ * Conditions shared by the session list, its count and its facets. Facet
+ * counts leave out their own filter (except), so every choice shows what
+ * selecting it would give.
+ * @param {Object} options - { query: parsed search query, scope, archived:
+ *   include archived sessions, from, to: YYYY-MM-DD (inclusive), tools,
+ *   projects, tags, branches, labels, models: arrays, any of which matches }
+ * @param {string} except - date, tool, project, branch, label or model
+ */
+function sessionFilters(options, except = null) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, ...values) => {
+    conditions.push(sql);
+    params.push(...values);
+  };
+  const inList = 'IN (SELECT value FROM json_each(?))';
+  const selected = (name, values) => except !== name && values?.length > 0;
+
+  if (!options.archived) add('s.archived_at IS NULL');
+  if (except !== 'date' && options.from) add('substr(s.started_at, 1, 10) >= ?', options.from);
+  if (except !== 'date' && options.to) add('substr(s.started_at, 1, 10) <= ?', options.to);
+  if (selected('tool', options.tools)) add(`COALESCE(s.tool, 'claude') ${inList}`, JSON.stringify(options.tools));
+  if (selected('project', options.projects)) add(`COALESCE(s.project, 'unknown') ${inList}`, JSON.stringify(options.projects));
+  if (selected('branch', options.branches)) add(`s.git_branch ${inList}`, JSON.stringify(options.branches));
+  if (selected('label', options.labels)) add(`s.source_label ${inList}`, JSON.stringify(options.labels));
+  if (selected('model', options.models)) {
+    add(`EXISTS (SELECT 1 FROM json_each(s.models) WHERE value ${inList})`, JSON.stringify(options.models));
+  }
+  if (options.tags?.length > 0) {
+    add(`EXISTS (SELECT 1 FROM stars WHERE session_id = s.id AND tag ${inList})`, JSON.stringify(options.tags));
+  }
+
+  if (options.query) {
+    const search = searchQuerySql(options.query);
+    conditions.push(...search.conditions);
+    params.push(...search.params);
+    const text = searchTextSql(options.query, options.scope);
+    if (text) add(text.sql, ...text.params);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * One page of the session list
+ * @param {Object} options - sessionFilters() options, plus sort (a
+ *   SESSION_SORT_ORDERS entry), limit and cursor (from the previous page)
+ * @returns {{ sessions: Array, nextCursor: string|null }} sessions carry
+ *   tag_count (tagged messages); nextCursor is null on the last page
+ * @throws {Error} On a cursor that wasn't made for this sort order
+ */
+export function listSessions(options = {}) {
+  const { sort = 'newest', limit = 50, cursor = null } = options;
+  const { columns, direction } = SESSION_SORTS[sort];
+  const { where, params } = sessionFilters(options);
+
+  let after = '';
+  const afterParams = [];
+  if (cursor) {
+    let values;
+    try {
+      values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch {
+      values = null;
+    }
+    if (!Array.isArray(values) || values.length !== columns.length) {
+      throw new Error('Invalid cursor');
+    }
+    after = `WHERE (${columns.join(', ')}) ${direction === 'DESC' ? '<' : '>'} (${columns.map(() => '?').join(', ')})`;
+    afterParams.push(...values);
+  }
+
+  const rows = db.prepare(`
+    SELECT *, json_array(${columns.join(', ')}) AS sort_key FROM (
+      SELECT s.*, (SELECT COUNT(DISTINCT message_id) FROM stars WHERE session_id = s.id) AS tag_count
+      FROM sessions s
+      ${where}
+    )
+    ${after}
+    ORDER BY ${columns.map(column => `${column} ${direction}`).join(', ')}
+    LIMIT ?
+  `).all(...params, ...afterParams, limit + 1);
+
+  const more = rows.length > limit;
+  const sessions = rows.slice(0, limit);
+  const nextCursor = more ? Buffer.from(sessions[sessions.length - 1].sort_key).toString('base64url') : null;
+  return {
+    sessions: sessions.map(({ sort_key, ...session }) => session),
+    nextCursor
+  };
+}
+
+// Ids of every session matching the session list filters
+export function listSessionIds(options = {}) {
+  const { where, params } = sessionFilters(options);
+  return db.prepare(`SELECT s.id FROM sessions s ${where}`).pluck().all(...params);
+}
+
+export function getArchivedSessionsCount() {
+  return db.prepare('SELECT COUNT(*) FROM sessions WHERE archived_at IS NOT NULL').pluck().get();
+}
+
+// Number of sessions and projects matching the session list filters
+export function countSessions(options = {}) {
+  const { where, params } = sessionFilters(options);
+  return db.prepare(`
+    SELECT COUNT(*) as total, COUNT(DISTINCT COALESCE(s.project, 'unknown')) as projects
+    FROM sessions s
+    ${where}
+  `).get(...params);
+}
+
+/**
+ * Sidebar counts for the session list: sessions per day, tool, project,
+ * branch, source label and model, each under all the other filters
+ * @returns {Object} { days, tools, projects, branches, labels, models }, each
+ *   [{ name, count }] with the largest count first (days by day)
+ */
+export function getSessionFacets(options = {}) {
+  const facet = (except, name, from = 'FROM sessions s') => {
+    const { where, params } = sessionFilters(options, except);
+    return db.prepare(`
+      SELECT ${name} as name, COUNT(*) as count
+      ${from}
+      ${where}
+      GROUP BY 1
+      HAVING name IS NOT NULL
+      ORDER BY ${except === 'date' ? 'name' : 'count DESC'}
+    `).all(...params);
+  };
+
+  return {
+    days: facet('date', 'substr(s.started_at, 1, 10)'),
+    tools: facet('tool', "COALESCE(s.tool, 'claude')"),
+    projects: facet('project', "COALESCE(s.project, 'unknown')"),
+    branches: facet('branch', 's.git_branch'),
+    labels: facet('label', 's.source_label'),
+    models: facet('model', 'j.value', 'FROM sessions s, json_each(s.models) j')
+  };
+}
+
+// Distinct project directories recorded on sessions (used to resolve Gemini
+// project hashes and Claude folder names)
+export function getKnownProjectPaths() {
+  return db.prepare(`
+    SELECT DISTINCT project_path FROM sessions
+    WHERE project_path IS NOT NULL AND tool != 'gemini'
+  `).all().map(row => row.project_path);
+}
+
+function loadDeletedSessionIds() {
+  deletedSessionIds = new Set(db.prepare('SELECT id FROM deleted_sessions').pluck().all());
+}
+
+// Hide sessions from the list (archived = true) or bring them back
+export function archiveSessions(ids, archived = true) {
+  return db.prepare(`
+    UPDATE sessions SET archived_at = CASE WHEN @archived THEN COALESCE(archived_at, strftime('%Y-%m-%dT%H:%M:%SZ', 'now')) END
+    WHERE id IN (SELECT value FROM json_each(@ids))
+  `).run({ ids: JSON.stringify(ids), archived: archived ? 1 : 0 }).changes;
+}
+
+/**
+ * Permanently delete sessions: messages, search index rows, tags, usage and
+ * their prompts. A tombstone keeps the importers from bringing them back.
+ * @returns {number} Sessions deleted
+ */
+export function deleteSessions(ids) {
+  const params = { ids: JSON.stringify(ids) };
+  const inIds = 'IN (SELECT value FROM json_each(@ids))';
+
+  const deleted = db.transaction(() => {
+    const tombstoned = db.prepare(`
+      INSERT OR REPLACE INTO deleted_sessions (id, tool, project)
+      SELECT id, tool, project FROM sessions WHERE id ${inIds}
+    `).run(params).changes;
+
+    db.prepare(`DELETE FROM messages_fts WHERE session_id ${inIds}`).run(params);
+    db.prepare(`DELETE FROM messages WHERE session_id ${inIds}`).run(params);
+    db.prepare(`DELETE FROM stars WHERE session_id ${inIds}`).run(params);
+    db.prepare(`DELETE FROM session_usage WHERE session_id ${inIds}`).run(params);
+    db.prepare(`DELETE FROM session_terms WHERE session_id ${inIds}`).run(params);
+    db.prepare(`DELETE FROM session_term_stats WHERE session_id ${inIds}`).run(params);
+    db.prepare(`DELETE FROM stale_session_terms WHERE session_id ${inIds}`).run(params);
+    db.prepare(`DELETE FROM prompts_fts WHERE prompt_id IN (SELECT id FROM prompts WHERE session_id ${inIds})`).run(params);
+    db.prepare(`DELETE FROM prompts WHERE session_id ${inIds}`).run(params);
+    db.prepare(`DELETE FROM sessions WHERE id ${inIds}`).run(params);
+    return tombstoned;
+  })();
+
+  loadDeletedSessionIds();
+  return deleted;
+}
+
+// Deleted for good: importers leave the session alone
+export function isSessionDeleted(id) {
+  return deletedSessionIds.has(id);
+}
+
 export function sessionExists(id) {
   const result = db.prepare('SELECT 1 FROM sessions WHERE id = ?').get(id);
   return !!result;
 }
 
 // Message operations
+// Mask the text fields of a message about to be stored. Tool input is
+// masked value by value, so it still serializes to valid JSON
+function maskMessage(msg) {
+  return {
+    ...msg,
+    content: maskSecrets(msg.content),
+    thinking: maskSecrets(msg.thinking),
+    tool_input: typeof msg.tool_input === 'string' ? maskSecrets(msg.tool_input) : maskValue(msg.tool_input),
+    tool_output: maskSecrets(msg.tool_output)
+  };
+}
+
 export function insertMessages(sessionId, messages) {
+  if (deletedSessionIds.has(sessionId)) return;
   const stmt = db.prepare(`
-    INSERT OR REPLACE INTO messages (id, session_id, type, content, timestamp, tool_name, tool_input, tool_output, thinking, position)
-    VALUES (@id, @session_id, @type, @content, @timestamp, @tool_name, @tool_input, @tool_output, @thinking, @position)
+    INSERT OR REPLACE INTO messages (id, session_id, type, content, timestamp, tool_name, tool_input, tool_output, tool_error, thinking, parent_id, is_sidechain, position,
+      model, input_tokens, output_tokens, cache_read_tokens, cache_creation_tokens, response_id)
+    VALUES (@id, @session_id, @type, @content, @timestamp, @tool_name, @tool_input, @tool_output, @tool_error, @thinking, @parent_id, @is_sidechain, @position,
+      @model, @input_tokens, @output_tokens, @cache_read_tokens, @cache_creation_tokens, @response_id)
   `);
 
+  // A replaced message gets a new rowid, so its index row goes first
+  const ftsDeleteStmt = db.prepare('DELETE FROM messages_fts WHERE rowid = (SELECT rowid FROM messages WHERE id = ?)');
   const ftsStmt = db.prepare(`
-    INSERT OR REPLACE INTO messages_fts (message_id, session_id, content)
-    VALUES (@message_id, @session_id, @content)
+    INSERT INTO messages_fts (rowid, message_id, session_id, content, thinking, tool_input, tool_output)
+    VALUES (@rowid, @message_id, @session_id, @content, @thinking, @tool_input, @tool_output)
   `);
 
+  const mask = isMaskOnImport();
+
   const insertMany = db.transaction((msgs) => {
-    for (const msg of msgs) {
-      stmt.run({
+    for (const msg of mask ? msgs.map(maskMessage) : msgs) {
+      ftsDeleteStmt.run(msg.id);
+      const toolInput = msg.tool_input ? JSON.stringify(msg.tool_input) : null;
+      const { lastInsertRowid } = stmt.run({
         id: msg.id,
         session_id: sessionId,
         type: msg.type,
         content: msg.content || null,
         timestamp: msg.timestamp || null,
         tool_name: msg.tool_name || null,
-        tool_input: msg.tool_input ? JSON.stringify(msg.tool_input) : null,
+        tool_input: toolInput,
         tool_output: msg.tool_output || null,
+        tool_error: msg.tool_error ? 1 : 0,
         thinking: msg.thinking || null,
-        position: msg.position
+        parent_id: msg.parent_id || null,
+        is_sidechain: msg.is_sidechain ? 1 : 0,
+        position: msg.position,
+        model: msg.model || null,
+        input_tokens: msg.input_tokens ?? null,
+        output_tokens: msg.output_tokens ?? null,
+        cache_read_tokens: msg.cache_read_tokens ?? null,
+        cache_creation_tokens: msg.cache_creation_tokens ?? null,
+        response_id: msg.response_id || null
       });
 
-      // Also insert into FTS index (only if content exists)
-      if (msg.content) {
+      // Also insert into FTS index (only if there is text to search)
+      if (msg.content || msg.thinking || msg.tool_name || msg.tool_output) {
         ftsStmt.run({
+          rowid: lastInsertRowid,
           message_id: msg.id,
           session_id: sessionId,
-          content: msg.content
+          content: msg.content || null,
+          thinking: msg.thinking || null,
+          tool_input: toolSearchText(msg.tool_name, toolInput),
+          tool_output: msg.tool_output || null
         });
       }
     }
@@ -232,6 +751,338 @@ export function insertMessages(sessionId, messages) {
   insertMany(messages);
 }
 
+// Message count and next free position (for appending to a growing session)
+export function getSessionMessageStats(sessionId) {
+  return db.prepare(`
+    SELECT COUNT(*) as count, COALESCE(MAX(position) + 1, 0) as next_position
+    FROM messages
+    WHERE session_id = ?
+  `).get(sessionId);
+}
+
+// Remove a session's messages and search rows before a full re-import.
+// Stars are kept: importers reuse stable message IDs, so they re-attach.
+export function deleteSessionMessages(sessionId) {
+  const remove = db.transaction((id) => {
+    db.prepare('DELETE FROM messages WHERE session_id = ?').run(id);
+    db.prepare('DELETE FROM messages_fts WHERE session_id = ?').run(id);
+  });
+  remove(sessionId);
+}
+
+// Remove a session's messages from the first of these rows on: the rows of
+// a record that is re-imported and everything stored after them.
+// Returns the position of the first removed row (null if none was stored)
+export function deleteMessagesFrom(sessionId, messageIds) {
+  const remove = db.transaction(() => {
+    const { position } = db.prepare(`
+      SELECT MIN(position) as position FROM messages
+      WHERE session_id = ? AND id IN (SELECT value FROM json_each(?))
+    `).get(sessionId, JSON.stringify(messageIds));
+    if (position === null) return null;
+
+    db.prepare(`
+      DELETE FROM messages_fts WHERE rowid IN (
+        SELECT rowid FROM messages WHERE session_id = ? AND position >= ?
+      )
+    `).run(sessionId, position);
+    db.prepare('DELETE FROM messages WHERE session_id = ? AND position >= ?').run(sessionId, position);
+    return position;
+  });
+  // Reads before it writes: take the write lock first (import workers)
+  return remove.immediate();
+}
+
+// Find the stored row a new record's parent refers to. Records that produced
+// no row of their own (tool results, system records) aren't stored, so fall
+// back to the latest row on the same thread, which is where they sit.
+export function findParentMessage(sessionId, parentUuid, isSidechain) {
+  const row = db.prepare('SELECT id FROM messages WHERE session_id = ? AND id = ?').get(sessionId, parentUuid) ||
+    db.prepare(`
+      SELECT id FROM messages
+      WHERE session_id = ? AND is_sidechain = ?
+      ORDER BY position DESC
+      LIMIT 1
+    `).get(sessionId, isSidechain ? 1 : 0);
+  return row ? row.id : null;
+}
+
+// Fill in the result of a tool call imported in an earlier pass
+export function updateToolResult(sessionId, messageId, output, isError) {
+  const text = storedText(output) || null;
+  const result = db.prepare(`
+    UPDATE messages SET tool_output = ?, tool_error = ?
+    WHERE session_id = ? AND id = ?
+  `).run(text, isError ? 1 : 0, sessionId, messageId);
+  db.prepare(`
+    UPDATE messages_fts SET tool_output = ?
+    WHERE rowid = (SELECT rowid FROM messages WHERE session_id = ? AND id = ?)
+  `).run(text, sessionId, messageId);
+  return result;
+}
+
+// Find the row holding the usage of an API response (its later records may
+// arrive in the next import pass of a growing session)
+export function findResponseMessage(sessionId, responseId) {
+  const row = db.prepare(`
+    SELECT id FROM messages
+    WHERE session_id = ? AND response_id = ?
+    LIMIT 1
+  `).get(sessionId, responseId);
+  return row ? row.id : null;
+}
+
+// Set the token usage of a message imported in an earlier batch or pass
+export function updateMessageUsage(sessionId, messageId, usage) {
+  return db.prepare(`
+    UPDATE messages SET
+      model = COALESCE(@model, model),
+      input_tokens = @input_tokens,
+      output_tokens = @output_tokens,
+      cache_read_tokens = @cache_read_tokens,
+      cache_creation_tokens = @cache_creation_tokens
+    WHERE session_id = @session_id AND id = @id
+  `).run({
+    model: null,
+    input_tokens: null,
+    output_tokens: null,
+    cache_read_tokens: null,
+    cache_creation_tokens: null,
+    ...usage,
+    session_id: sessionId,
+    id: messageId
+  });
+}
+
+// Add token usage to the session's latest assistant message (for usage
+// reported after the message was stored by an earlier import pass)
+export function addLatestMessageUsage(sessionId, usage) {
+  return db.prepare(`
+    UPDATE messages SET
+      model = COALESCE(model, @model),
+      input_tokens = COALESCE(input_tokens, 0) + @input_tokens,
+      output_tokens = COALESCE(output_tokens, 0) + @output_tokens,
+      cache_read_tokens = COALESCE(cache_read_tokens, 0) + @cache_read_tokens,
+      cache_creation_tokens = COALESCE(cache_creation_tokens, 0) + @cache_creation_tokens
+    WHERE id = (
+      SELECT id FROM messages
+      WHERE session_id = @session_id AND type = 'assistant'
+      ORDER BY position DESC
+      LIMIT 1
+    )
+  `).run({
+    model: null,
+    input_tokens: 0,
+    output_tokens: 0,
+    cache_read_tokens: 0,
+    cache_creation_tokens: 0,
+    ...usage,
+    session_id: sessionId
+  });
+}
+
+// Models a session's messages were recorded with, as a JSON array in order of
+// first use (NULL if none was recorded)
+const SESSION_MODELS_SQL = `(
+  SELECT NULLIF(json_group_array(model), '[]') FROM (
+    SELECT model FROM messages
+    WHERE session_id = sessions.id AND model IS NOT NULL
+    GROUP BY model
+    ORDER BY MIN(position)
+  )
+)`;
+
+// Recompute the sessions' model sets from their messages
+export function refreshSessionModels(sessionIds) {
+  const stmt = db.prepare(`UPDATE sessions SET models = ${SESSION_MODELS_SQL} WHERE id = ?`);
+  const refresh = db.transaction((ids) => {
+    for (const id of ids) stmt.run(id);
+  });
+  refresh(sessionIds);
+}
+
+// Recompute the sessions' rows in session_usage from their messages
+export function refreshSessionUsage(sessionIds) {
+  const remove = db.prepare('DELETE FROM session_usage WHERE session_id = ?');
+  const insert = db.prepare(`
+    INSERT INTO session_usage (session_id, model, day, messages, input_tokens, output_tokens, cache_read_tokens, cache_creation_tokens)
+    SELECT m.session_id, COALESCE(m.model, ''), COALESCE(substr(COALESCE(m.timestamp, s.started_at), 1, 10), ''),
+      COUNT(*), SUM(COALESCE(m.input_tokens, 0)), SUM(COALESCE(m.output_tokens, 0)),
+      SUM(COALESCE(m.cache_read_tokens, 0)), SUM(COALESCE(m.cache_creation_tokens, 0))
+    FROM messages m
+    JOIN sessions s ON s.id = m.session_id
+    WHERE m.session_id = ?
+      AND (m.input_tokens IS NOT NULL OR m.output_tokens IS NOT NULL
+        OR m.cache_read_tokens IS NOT NULL OR m.cache_creation_tokens IS NOT NULL)
+    GROUP BY 1, 2, 3
+  `);
+  const refresh = db.transaction((ids) => {
+    for (const id of ids) {
+      remove.run(id);
+      insert.run(id);
+    }
+  });
+  refresh(sessionIds);
+}
+
+// Recompute the sessions' terms (session_terms) from their summary and
+// messages, with secrets masked. Ids of sessions that are gone (deleted, or
+// never written) only lose their stale mark
+export function refreshSessionTerms(sessionIds) {
+  const summary = db.prepare('SELECT summary FROM sessions WHERE id = ?').pluck();
+  const texts = db.prepare(`
+    SELECT content, thinking FROM messages
+    WHERE session_id = ? AND type IN ('user', 'assistant')
+  `);
+  const removeTerms = db.prepare('DELETE FROM session_terms WHERE session_id = ?');
+  const insertTerm = db.prepare('INSERT INTO session_terms (session_id, term, count) VALUES (?, ?, ?)');
+  const saveStats = db.prepare(`
+    INSERT INTO session_term_stats (session_id, length) VALUES (?, ?)
+    ON CONFLICT(session_id) DO UPDATE SET length = excluded.length
+  `);
+  const clearStale = db.prepare('DELETE FROM stale_session_terms WHERE session_id = ?');
+
+  const refresh = db.transaction((ids) => {
+    for (const id of ids) {
+      clearStale.run(id);
+      if (!sessionExists(id)) continue;
+
+      const counts = extractTerms(maskSecrets(summary.get(id)));
+      for (const message of texts.iterate(id)) {
+        extractTerms(maskSecrets(message.content), counts);
+        extractTerms(maskSecrets(message.thinking), counts);
+      }
+      let length = 0;
+      for (const count of counts.values()) length += count;
+
+      removeTerms.run(id);
+      for (const { term, count } of topTerms(counts)) insertTerm.run(id, term, count);
+      saveStats.run(id, length);
+    }
+  });
+  // Reads before it writes: take the write lock first (import workers)
+  refresh.immediate(sessionIds);
+}
+
+// Mark the sessions' terms as out of date; imports call this instead of
+// refreshSessionTerms(), which reads every message of a session
+export function markSessionTermsStale(sessionIds) {
+  db.prepare(
+    'INSERT OR IGNORE INTO stale_session_terms (session_id) SELECT value FROM json_each(?)'
+  ).run(JSON.stringify(sessionIds));
+}
+
+/**
+ * Recompute the terms of the sessions marked stale by imports
+ * @param {Object} options - { sessionIds: only these sessions, if stale,
+ *   limit: at most this many (-1 = all) }
+ * @returns {number} Sessions refreshed
+ */
+export function refreshStaleSessionTerms(options = {}) {
+  const { sessionIds = null, limit = -1 } = options;
+  const stale = db.prepare(`
+    SELECT session_id FROM stale_session_terms
+    ${sessionIds ? 'WHERE session_id IN (SELECT value FROM json_each(@ids))' : ''}
+    LIMIT @limit
+  `).pluck().all({ limit, ...(sessionIds ? { ids: JSON.stringify(sessionIds) } : {}) });
+  if (stale.length > 0) refreshSessionTerms(stale);
+  return stale.length;
+}
+
+/**
+ * Sessions about the same thing as a session, by their shared distinctive
+ * terms (see src/related.js). Archived sessions are left out
+ * @returns {Array} { id, tool, project, summary, started_at, message_count,
+ *   score, terms } best match first; terms are the shared key terms
+ */
+export function getRelatedSessions(sessionId, options = {}) {
+  const { limit = 5 } = options;
+  // The session's own terms may be behind its last import
+  refreshStaleSessionTerms({ sessionIds: [sessionId] });
+  const terms = db.prepare('SELECT term, count FROM session_terms WHERE session_id = ?').all(sessionId);
+  if (terms.length === 0) return [];
+
+  const { sessionCount, averageLength } = db.prepare(
+    'SELECT COUNT(*) as sessionCount, AVG(length) as averageLength FROM session_term_stats'
+  ).get();
+  const documentFrequency = new Map(db.prepare(`
+    SELECT term, COUNT(*) FROM session_terms
+    WHERE term IN (SELECT value FROM json_each(?))
+    GROUP BY term
+  `).raw().all(JSON.stringify(terms.map(t => t.term))));
+
+  const keyTerms = pickKeyTerms(terms, documentFrequency, sessionCount);
+  if (keyTerms.length === 0) return [];
+
+  const candidates = db.prepare(`
+    SELECT t.session_id, t.term, t.count, st.length
+    FROM session_terms t
+    JOIN session_term_stats st ON st.session_id = t.session_id
+    JOIN sessions s ON s.id = t.session_id
+    WHERE t.term IN (SELECT value FROM json_each(?))
+      AND t.session_id != ?
+      AND s.archived_at IS NULL
+  `).all(JSON.stringify(keyTerms.map(t => t.term)), sessionId);
+
+  const session = db.prepare(`
+    SELECT id, tool, project, summary, started_at, message_count FROM sessions WHERE id = ?
+  `);
+  return scoreRelatedSessions(keyTerms, candidates, averageLength, limit).map(related => ({
+    ...session.get(related.session_id),
+    score: related.score,
+    terms: related.terms
+  }));
+}
+
+/**
+ * Token usage per model, grouped by session, project or day
+ * @param {string} groupBy - 'session', 'project' or 'day'
+ * @param {Object} options - { sessionIds: only these sessions }
+ * @returns {Array} { key, model, messages, input_tokens, output_tokens,
+ *   cache_read_tokens, cache_creation_tokens }
+ */
+export function getUsage(groupBy = 'session', options = {}) {
+  const { sessionIds = null } = options;
+  const keys = {
+    session: 'u.session_id',
+    project: "COALESCE(s.project, '')",
+    day: 'u.day'
+  };
+  const key = keys[groupBy];
+  if (!key) {
+    throw new Error(`Unknown usage grouping: ${groupBy}`);
+  }
+
+  return db.prepare(`
+    SELECT ${key} as key, u.model,
+      SUM(u.messages) as messages,
+      SUM(u.input_tokens) as input_tokens,
+      SUM(u.output_tokens) as output_tokens,
+      SUM(u.cache_read_tokens) as cache_read_tokens,
+      SUM(u.cache_creation_tokens) as cache_creation_tokens
+    FROM session_usage u
+    JOIN sessions s ON s.id = u.session_id
+    ${sessionIds ? 'WHERE u.session_id IN (SELECT value FROM json_each(?))' : ''}
+    GROUP BY 1, 2
+    ORDER BY 1
+  `).all(...(sessionIds ? [JSON.stringify(sessionIds)] : []));
+}
+
+// Token usage of one session per model
+export function getSessionUsage(sessionId) {
+  return db.prepare(`
+    SELECT model,
+      SUM(messages) as messages,
+      SUM(input_tokens) as input_tokens,
+      SUM(output_tokens) as output_tokens,
+      SUM(cache_read_tokens) as cache_read_tokens,
+      SUM(cache_creation_tokens) as cache_creation_tokens
+    FROM session_usage
+    WHERE session_id = ?
+    GROUP BY model
+  `).all(sessionId);
+}
+
 export function getMessages(sessionId) {
   return db.prepare(`
     SELECT * FROM messages
@@ -240,6 +1091,300 @@ export function getMessages(sessionId) {
   `).all(sessionId);
 }
 
+// Messages the session page shows: user and assistant rows with something in them
+const SHOWN_MESSAGE = `type IN ('user', 'assistant') AND
+  (COALESCE(content, '') != '' OR COALESCE(tool_name, '') != '' OR COALESCE(thinking, '') != '')`;
+
+/**
+ * Structure of a session's shown messages, without their text, so the page
+ * can lay out the conversation tree before loading any message. Subagent
+ * Task calls keep their input and the first row of a subagent run its
+ * content, to match runs to the calls that started them.
+ * @returns {Array} { id, type, position, parent_id, is_sidechain, tool_name,
+ *   tool_input, content } in position order
+ */
+export function getMessageOutline(sessionId) {
+  return db.prepare(`
+    SELECT m.id, m.type, m.position, m.parent_id, m.is_sidechain, m.tool_name,
+      CASE WHEN m.tool_name IN ('Task', 'Agent') THEN m.tool_input END AS tool_input,
+      CASE WHEN m.is_sidechain AND NOT EXISTS (
+        SELECT 1 FROM messages p WHERE p.id = m.parent_id AND p.is_sidechain
+      ) THEN m.content END AS content
+    FROM messages m
+    WHERE m.session_id = ? AND ${SHOWN_MESSAGE}
+    ORDER BY m.position ASC
+  `).all(sessionId);
+}
+
+/**
+ * A page of a session's shown messages
+ * @param {Object} options - { from, to: position range (inclusive), or
+ *   around: a message id (about half the page before it), limit }
+ * @returns {Array|null} Messages in position order; null when around isn't
+ *   a message of the session
+ */
+export function getMessagePage(sessionId, options = {}) {
+  const { from = 0, to = null, around = null, limit = 100 } = options;
+
+  if (around) {
+    const target = db.prepare('SELECT position FROM messages WHERE id = ? AND session_id = ?').get(around, sessionId);
+    if (!target) return null;
+    const before = db.prepare(`
+      SELECT * FROM messages
+      WHERE session_id = ? AND position < ? AND ${SHOWN_MESSAGE}
+      ORDER BY position DESC
+      LIMIT ?
+    `).all(sessionId, target.position, Math.floor(limit / 2));
+    const after = db.prepare(`
+      SELECT * FROM messages
+      WHERE session_id = ? AND position >= ? AND ${SHOWN_MESSAGE}
+      ORDER BY position ASC
+      LIMIT ?
+    `).all(sessionId, target.position, limit - before.length);
+    return [...before.reverse(), ...after];
+  }
+
+  return db.prepare(`
+    SELECT * FROM messages
+    WHERE session_id = ? AND position >= ? AND (? IS NULL OR position <= ?) AND ${SHOWN_MESSAGE}
+    ORDER BY position ASC
+    LIMIT ?
+  `).all(sessionId, from, to, to, limit);
+}
+
+export function getMessage(sessionId, messageId) {
+  return db.prepare('SELECT * FROM messages WHERE id = ? AND session_id = ?').get(messageId, sessionId);
+}
+
+// Import state operations
+export function getImportState(filePath) {
+  return db.prepare('SELECT * FROM import_state WHERE file_path = ?').get(filePath);
+}
+
+// fingerprints: JSON object of content hashes, for files holding several
+// sessions without a change marker of their own (Cursor chat tabs)
+export function saveImportState(state) {
+  return db.prepare(`
+    INSERT INTO import_state (file_path, session_id, tool, size, mtime, offset, records, lines, checksum, fingerprints, imported_at)
+    VALUES (@file_path, @session_id, @tool, @size, @mtime, @offset, @records, @lines, @checksum, @fingerprints, CURRENT_TIMESTAMP)
+    ON CONFLICT(file_path) DO UPDATE SET
+      session_id = COALESCE(@session_id, session_id),
+      tool = @tool,
+      size = @size,
+      mtime = @mtime,
+      offset = @offset,
+      records = @records,
+      lines = @lines,
+      checksum = @checksum,
+      fingerprints = @fingerprints,
+      imported_at = CURRENT_TIMESTAMP
+  `).run({ lines: 0, checksum: null, fingerprints: null, ...state });
+}
+
+// Import log operations (one row per source file)
+export function getImportLogEntry(filePath) {
+  return db.prepare('SELECT * FROM imports WHERE file_path = ?').get(filePath);
+}
+
+// Store the outcome of reading a file; error_lines is a list of { line, message }
+export function saveImportLogEntry(entry) {
+  return db.prepare(`
+    INSERT INTO imports (file_path, tool, session_id, status, records, parse_errors, error_lines, error, imported_at, checked_at)
+    VALUES (@file_path, @tool, @session_id, @status, @records, @parse_errors, @error_lines, @error, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    ON CONFLICT(file_path) DO UPDATE SET
+      tool = @tool,
+      session_id = COALESCE(@session_id, session_id),
+      status = @status,
+      records = @records,
+      parse_errors = @parse_errors,
+      error_lines = @error_lines,
+      error = @error,
+      imported_at = CURRENT_TIMESTAMP,
+      checked_at = CURRENT_TIMESTAMP
+  `).run({
+    session_id: null,
+    records: 0,
+    parse_errors: 0,
+    error: null,
+    ...entry,
+    error_lines: entry.error_lines?.length ? JSON.stringify(entry.error_lines) : null
+  });
+}
+
+// A file that was unchanged keeps the outcome of the pass that last read it
+export function touchImportLogEntry(filePath, tool) {
+  return db.prepare(`
+    INSERT INTO imports (file_path, tool, status, checked_at)
+    VALUES (?, ?, 'skipped', CURRENT_TIMESTAMP)
+    ON CONFLICT(file_path) DO UPDATE SET checked_at = CURRENT_TIMESTAMP
+  `).run(filePath, tool);
+}
+
+// Drop log entries of files that no longer exist
+export function removeImportLogEntries(filePaths) {
+  const stmt = db.prepare('DELETE FROM imports WHERE file_path = ?');
+  const remove = db.transaction((paths) => {
+    for (const filePath of paths) stmt.run(filePath);
+  });
+  remove(filePaths);
+}
+
+/**
+ * List import log entries
+ * @param {Object} options - { status: a status or 'problems' (parse_errors, failed, empty), tool, limit }
+ */
+export function getImportLog(options = {}) {
+  const { status = null, tool = null, limit = 500 } = options;
+  const conditions = [];
+  const params = [];
+
+  if (status === 'problems') {
+    conditions.push("status IN ('parse_errors', 'failed', 'empty')");
+  } else if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  if (tool) {
+    conditions.push('tool = ?');
+    params.push(tool);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return db.prepare(`
+    SELECT * FROM imports
+    ${where}
+    ORDER BY
+      CASE status WHEN 'failed' THEN 0 WHEN 'parse_errors' THEN 1 WHEN 'empty' THEN 2 ELSE 3 END,
+      imported_at DESC
+    LIMIT ?
+  `).all(...params, limit).map(row => ({
+    ...row,
+    error_lines: row.error_lines ? JSON.parse(row.error_lines) : []
+  }));
+}
+
+// Number of files per tool and status
+export function getImportSummary() {
+  return db.prepare(`
+    SELECT tool, status, COUNT(*) as count
+    FROM imports
+    GROUP BY tool, status
+    ORDER BY tool, status
+  `).all();
+}
+
+// Forget import progress so the next import re-reads every file (optionally for one tool)
+export function clearImportState(tool = null) {
+  if (tool) {
+    return db.prepare('DELETE FROM import_state WHERE tool = ?').run(tool);
+  }
+  return db.prepare('DELETE FROM import_state').run();
+}
+
+// Prompt history operations
+
+// Store prompts read from a history file; prompts already stored are left
+// alone (IDs are derived from tool, time and text). Returns the number added.
+export function insertPrompts(prompts) {
+  const stmt = db.prepare(`
+    INSERT OR IGNORE INTO prompts (id, tool, session_id, project, project_path, text, timestamp)
+    VALUES (@id, @tool, @session_id, @project, @project_path, @text, @timestamp)
+  `);
+  const ftsStmt = db.prepare('INSERT INTO prompts_fts (prompt_id, text) VALUES (?, ?)');
+
+  const insertMany = db.transaction((rows) => {
+    let added = 0;
+    for (const prompt of rows) {
+      if (deletedSessionIds.has(prompt.session_id)) continue;
+      const text = storedText(prompt.text);
+      if (stmt.run({ ...prompt, text }).changes === 0) continue;
+      ftsStmt.run(prompt.id, text);
+      added++;
+    }
+    return added;
+  });
+
+  return insertMany(prompts);
+}
+
+// Conditions shared by the prompt list and its count. The project falls back
+// to the linked session's (Codex history doesn't record one).
+function promptFilters(options) {
+  const { query = null, tool = null, project = null, orphaned = false } = options;
+  const conditions = [];
+  const params = [];
+
+  const ftsQuery = query ? toFtsQuery(query) : null;
+  if (ftsQuery) {
+    conditions.push('p.id IN (SELECT prompt_id FROM prompts_fts WHERE prompts_fts MATCH ?)');
+    params.push(ftsQuery);
+  }
+  if (tool) {
+    conditions.push('p.tool = ?');
+    params.push(tool);
+  }
+  if (project) {
+    conditions.push('COALESCE(p.project, s.project) = ?');
+    params.push(project);
+  }
+  if (orphaned) {
+    conditions.push('s.id IS NULL');
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * List prompts, newest first
+ * @param {Object} options - { query: parsed search query (filters are not
+ *   supported), tool, project, orphaned: only
+ *   prompts whose session isn't in the database, limit, offset }
+ * @returns {{ prompts: Array, total: number }}
+ */
+export function getPrompts(options = {}) {
+  const { limit = 100, offset = 0 } = options;
+  const { where, params } = promptFilters(options);
+  const from = 'FROM prompts p LEFT JOIN sessions s ON s.id = p.session_id';
+
+  try {
+    const prompts = db.prepare(`
+      SELECT p.id, p.tool, p.session_id, p.text, p.timestamp,
+        COALESCE(p.project, s.project) as project,
+        COALESCE(p.project_path, s.project_path) as project_path,
+        s.id IS NOT NULL as has_session,
+        s.summary as session_summary
+      ${from}
+      ${where}
+      ORDER BY p.timestamp DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+    const { total } = db.prepare(`SELECT COUNT(*) as total ${from} ${where}`).get(...params);
+    return { prompts, total };
+  } catch (err) {
+    console.error('Prompt search error:', err.message);
+    return { prompts: [], total: 0 };
+  }
+}
+
+// Number of prompts per tool and per project (for the prompt history filters)
+export function getPromptCounts() {
+  const from = 'FROM prompts p LEFT JOIN sessions s ON s.id = p.session_id';
+  return {
+    byTool: db.prepare(`SELECT p.tool as name, COUNT(*) as count ${from} GROUP BY p.tool ORDER BY count DESC`).all(),
+    byProject: db.prepare(`
+      SELECT COALESCE(p.project, s.project) as name, COUNT(*) as count
+      ${from}
+      WHERE COALESCE(p.project, s.project) IS NOT NULL
+      GROUP BY name
+      ORDER BY count DESC
+    `).all(),
+    orphaned: db.prepare(`SELECT COUNT(*) as count ${from} WHERE s.id IS NULL`).get().count
+  };
+}
+
 // Rebuild FTS index from existing messages
 export function rebuildFtsIndex() {
   // Clear existing FTS data
@@ -247,42 +1392,349 @@ export function rebuildFtsIndex() {
 
   // Repopulate from messages table
   const stmt = db.prepare(`
-    INSERT INTO messages_fts (message_id, session_id, content)
-    SELECT id, session_id, content FROM messages WHERE content IS NOT NULL
+    INSERT INTO messages_fts (rowid, message_id, session_id, content, thinking, tool_input, tool_output)
+    SELECT rowid, id, session_id, content, thinking, tool_input_text(tool_name, tool_input), tool_output
+    FROM messages WHERE ${FTS_INDEXED}
   `);
   const result = stmt.run();
   return result.changes;
 }
 
-// Search messages using FTS5
-export function searchMessages(query) {
-  if (!query || query.trim().length < 3) {
-    return [];
+// Rebuild the prompt history index from the stored prompts
+function rebuildPromptsFtsIndex() {
+  db.prepare('DELETE FROM prompts_fts').run();
+  return db.prepare('INSERT INTO prompts_fts (prompt_id, text) SELECT id, text FROM prompts').run().changes;
+}
+
+// Mask a stored tool input (JSON text) value by value
+function maskStoredToolInput(toolInput) {
+  try {
+    return JSON.stringify(maskValue(JSON.parse(toolInput)));
+  } catch {
+    return maskSecrets(toolInput);
   }
+}
 
-  // Escape special FTS characters and prepare query
-  const searchQuery = query.trim()
-    .replace(/['"]/g, '') // Remove quotes
-    .split(/\s+/)
-    .filter(word => word.length > 0)
-    .map(word => `"${word}"*`) // Prefix matching
-    .join(' ');
+// The strings inside a stored tool input (JSON text), so a secret reads the
+// same as in message text rather than JSON-escaped
+function toolInputText(toolInput) {
+  const strings = [];
+  const collect = (value) => {
+    if (typeof value === 'string') strings.push(value);
+    else if (value && typeof value === 'object') Object.values(value).forEach(collect);
+  };
+  try {
+    collect(JSON.parse(toolInput));
+    return strings.join('\n');
+  } catch {
+    return toolInput;
+  }
+}
 
-  if (!searchQuery) {
-    return [];
+// What the search index holds for a tool call: its name and input strings
+function toolSearchText(toolName, toolInput) {
+  const text = [toolName, toolInput && toolInputText(toolInput)].filter(Boolean).join('\n');
+  return text || null;
+}
+
+/**
+ * Apply the current secret patterns to everything already stored: message
+ * text, tool calls, prompts and session summaries. The search indexes are
+ * rebuilt from the masked text and the file is vacuumed, so the original
+ * text doesn't linger in free pages or the WAL.
+ * @returns {{ messages: number, prompts: number, sessions: number }} Rows changed
+ */
+export function redactStoredSecrets() {
+  const changed = { messages: 0, prompts: 0, sessions: 0 };
+  const batchSize = 1000;
+
+  // Messages, in rowid batches (a transcript database can be large)
+  const selectMessages = db.prepare(`
+    SELECT rowid, content, thinking, tool_input, tool_output FROM messages
+    WHERE rowid > ? ORDER BY rowid LIMIT ?
+  `);
+  const updateMessage = db.prepare(`
+    UPDATE messages SET content = @content, thinking = @thinking, tool_input = @tool_input, tool_output = @tool_output
+    WHERE rowid = @rowid
+  `);
+  const redactMessages = db.transaction((rows) => {
+    for (const row of rows) {
+      const masked = {
+        rowid: row.rowid,
+        content: maskSecrets(row.content),
+        thinking: maskSecrets(row.thinking),
+        tool_input: row.tool_input && maskStoredToolInput(row.tool_input),
+        tool_output: maskSecrets(row.tool_output)
+      };
+      if (masked.content !== row.content || masked.thinking !== row.thinking ||
+          masked.tool_input !== row.tool_input || masked.tool_output !== row.tool_output) {
+        updateMessage.run(masked);
+        changed.messages++;
+      }
+    }
+  });
+  let lastRowid = 0;
+  for (;;) {
+    const rows = selectMessages.all(lastRowid, batchSize);
+    if (rows.length === 0) break;
+    redactMessages(rows);
+    lastRowid = rows[rows.length - 1].rowid;
   }
 
-  try {
-    return db.prepare(`
-      SELECT DISTINCT session_id
-      FROM messages_fts
-      WHERE messages_fts MATCH ?
-      ORDER BY rank
-    `).all(searchQuery);
-  } catch (err) {
-    console.error('FTS search error:', err.message);
+  db.transaction(() => {
+    const updatePrompt = db.prepare('UPDATE prompts SET text = ? WHERE id = ?');
+    for (const prompt of db.prepare('SELECT id, text FROM prompts').all()) {
+      const text = maskSecrets(prompt.text);
+      if (text !== prompt.text) {
+        updatePrompt.run(text, prompt.id);
+        changed.prompts++;
+      }
+    }
+
+    const updateSummary = db.prepare('UPDATE sessions SET summary = ? WHERE id = ?');
+    for (const session of db.prepare('SELECT id, summary FROM sessions WHERE summary IS NOT NULL').all()) {
+      const summary = maskSecrets(session.summary);
+      if (summary !== session.summary) {
+        updateSummary.run(summary, session.id);
+        changed.sessions++;
+      }
+    }
+
+    // Reindex from the masked text; 'optimize' merges the index segments so
+    // the deleted entries are dropped rather than just marked
+    if (changed.messages > 0) rebuildFtsIndex();
+    // Terms are taken from masked text, but new patterns may catch more
+    if (changed.messages > 0 || changed.sessions > 0) {
+      refreshSessionTerms(db.prepare('SELECT id FROM sessions').pluck().all());
+    }
+    if (changed.prompts > 0) rebuildPromptsFtsIndex();
+    db.prepare("INSERT INTO messages_fts (messages_fts) VALUES ('optimize')").run();
+    db.prepare("INSERT INTO prompts_fts (prompts_fts) VALUES ('optimize')").run();
+  })();
+
+  db.prepare('VACUUM').run();
+  db.pragma('wal_checkpoint(TRUNCATE)');
+  return changed;
+}
+
+/**
+ * Scan every stored message for secrets (see findSecrets() in secrets.js).
+ * Only finds what is stored: text masked on import or by redaction is gone.
+ * @returns {{ hits: Array, scanned: number, messages: number }} One hit per
+ *   secret value and message: { type, value, session_id, message_id, project,
+ *   tool, timestamp, fields }, plus the messages scanned and those with a hit
+ */
+export function findStoredSecrets() {
+  const fields = ['content', 'thinking', 'tool_input', 'tool_output'];
+  const select = db.prepare(`
+    SELECT m.rowid, m.id, m.session_id, m.timestamp, m.content, m.thinking, m.tool_input, m.tool_output,
+      s.project, s.tool, s.started_at
+    FROM messages m
+    LEFT JOIN sessions s ON s.id = m.session_id
+    WHERE m.rowid > ? ORDER BY m.rowid LIMIT ?
+  `);
+
+  const hits = [];
+  let scanned = 0;
+  let messages = 0;
+  let lastRowid = 0;
+  for (;;) {
+    const rows = select.all(lastRowid, 1000);
+    if (rows.length === 0) break;
+    for (const row of rows) {
+      const byValue = new Map();
+      for (const field of fields) {
+        const text = field === 'tool_input' && row.tool_input ? toolInputText(row.tool_input) : row[field];
+        for (const { type, value } of findSecrets(text)) {
+          const hit = byValue.get(value);
+          if (hit) {
+            if (!hit.fields.includes(field)) hit.fields.push(field);
+            continue;
+          }
+          byValue.set(value, {
+            type,
+            value,
+            session_id: row.session_id,
+            message_id: row.id,
+            project: row.project,
+            tool: row.tool,
+            timestamp: row.timestamp || row.started_at,
+            fields: [field]
+          });
+        }
+      }
+      if (byValue.size > 0) messages++;
+      hits.push(...byValue.values());
+    }
+    scanned += rows.length;
+    lastRowid = rows[rows.length - 1].rowid;
+  }
+  return { hits, scanned, messages };
+}
+
+// Escape LIKE wildcards in a value matched as a substring
+function likePattern(value) {
+  return '%' + value.replace(/[\\%_]/g, '\\$&') + '%';
+}
+
+// Conditions on a message m for has: values (see src/query.js)
+const HAS_CONDITIONS = {
+  thinking: "m.thinking IS NOT NULL AND m.thinking != ''",
+  tools: 'm.tool_name IS NOT NULL',
+  errors: 'm.tool_error = 1'
+};
+
+// SQL for one filter of a parsed search query, against sessions s
+function searchFilterSql(filter) {
+  const { field, values } = filter;
+  const list = JSON.stringify(values);
+  switch (field) {
+    case 'tool':
+      return { sql: "COALESCE(s.tool, 'claude') IN (SELECT value FROM json_each(?))", params: [list] };
+    case 'project':
+      return {
+        sql: '(' + values.map(() => "s.project LIKE ? ESCAPE '\\'").join(' OR ') + ')',
+        params: values.map(likePattern)
+      };
+    case 'tag':
+      return {
+        sql: `EXISTS (SELECT 1 FROM stars st LEFT JOIN tags t ON t.id = st.tag WHERE st.session_id = s.id
+          AND (lower(st.tag) IN (SELECT value FROM json_each(?)) OR lower(t.label) IN (SELECT value FROM json_each(?))))`,
+        params: [list, list]
+      };
+    case 'role':
+      return {
+        sql: 'EXISTS (SELECT 1 FROM messages m WHERE m.session_id = s.id AND m.type IN (SELECT value FROM json_each(?)))',
+        params: [list]
+      };
+    case 'after':
+      return { sql: 'substr(s.started_at, 1, 10) >= ?', params: values };
+    case 'before':
+      return { sql: 'substr(s.started_at, 1, 10) < ?', params: values };
+    case 'has':
+      return {
+        sql: '(' + values.map(value => value === 'tags'
+          ? 'EXISTS (SELECT 1 FROM stars st WHERE st.session_id = s.id)'
+          : `EXISTS (SELECT 1 FROM messages m WHERE m.session_id = s.id AND ${HAS_CONDITIONS[value]})`
+        ).join(' OR ') + ')',
+        params: []
+      };
+  }
+}
+
+/**
+ * WHERE conditions for a parsed search query: its filters against sessions s,
+ * and the message condition for its full-text part (role: narrows which
+ * messages count; without text it is a session filter like the others)
+ */
+function searchQuerySql(query) {
+  const conditions = [];
+  const params = [];
+  const roles = query.filters.filter(filter => filter.field === 'role');
+  const hasText = query.groups.length > 0;
+
+  for (const filter of query.filters) {
+    if (hasText && filter.field === 'role') continue;
+    const { sql, params: filterParams } = searchFilterSql(filter);
+    conditions.push(filter.negate ? `NOT ${sql}` : sql);
+    params.push(...filterParams);
+  }
+
+  const messageConditions = roles.map(role =>
+    `message_id IN (SELECT id FROM messages WHERE type ${role.negate ? 'NOT IN' : 'IN'} (SELECT value FROM json_each(?)))`);
+  const messageParams = roles.map(role => JSON.stringify(role.values));
+
+  return { conditions, params, messageConditions, messageParams };
+}
+
+// Words of a parsed query found in a session column as plain text (like
+// FTS, all words of one OR group, and none of the exclusions)
+function textInColumnSql(query, column) {
+  const contains = `instr(lower(COALESCE(${column}, '')), ?) > 0`;
+  const groups = query.groups.map(group => `(${group.map(() => contains).join(' AND ')})`);
+  const exclude = query.exclude.map(() => `NOT ${contains}`);
+  return {
+    sql: `((${groups.join(' OR ')})${exclude.map(c => ` AND ${c}`).join('')})`,
+    params: [...query.groups.flat(), ...query.exclude].map(term => term.text.toLowerCase())
+  };
+}
+
+/**
+ * WHERE condition for the full-text part of a parsed search query: sessions
+ * with a matching message, or whose summary or project name matches (they
+ * aren't in the index). With role: or a thinking / tool call scope only
+ * messages count.
+ * @returns {{ sql: string, params: Array }|null} null when the query has no text
+ */
+function searchTextSql(query, scope = 'messages') {
+  const match = toFtsQuery(query, scope);
+  if (!match) return null;
+
+  const { messageConditions, messageParams } = searchQuerySql(query);
+  const inMessages = `s.id IN (SELECT session_id FROM messages_fts WHERE messages_fts MATCH ?${messageConditions.map(c => ` AND ${c}`).join('')})`;
+  if (!['messages', 'all'].includes(scope) || messageConditions.length > 0) {
+    return { sql: inMessages, params: [match, ...messageParams] };
+  }
+
+  const inSummary = textInColumnSql(query, 's.summary');
+  const inProject = textInColumnSql(query, 's.project');
+  return {
+    sql: `(${inMessages} OR ${inSummary.sql} OR ${inProject.sql})`,
+    params: [match, ...messageParams, ...inSummary.params, ...inProject.params]
+  };
+}
+
+// Markers around matched terms in search snippets. Control characters can't
+// collide with message text, and the client splits on them to render the
+// matches as highlighted text
+export const SNIPPET_START = '\u0002';
+export const SNIPPET_END = '\u0003';
+
+/**
+ * Search messages using FTS5, returning the matching messages themselves
+ * @param {Object} query - parseSearchQuery() value; its filters limit the
+ *   sessions and roles searched
+ * @param {Object} options
+ * @param {number} options.perSession - Best hits kept per session
+ * @param {string} options.scope - Fields searched (see SEARCH_SCOPES in src/query.js)
+ * @returns {Array} { message_id, session_id, type, timestamp, field, snippet,
+ *   rank, session_hits }, best (lowest bm25) first within each session.
+ *   field is the messages_fts column the snippet comes from
+ */
+export function searchMessageHits(query, options = {}) {
+  const { perSession = 3, scope = 'messages' } = options;
+  const match = toFtsQuery(query, scope);
+  if (!match) {
     return [];
   }
+  const { conditions, params, messageConditions, messageParams } = searchQuerySql(query);
+  const sessionCondition = conditions.length > 0
+    ? ` AND session_id IN (SELECT s.id FROM sessions s WHERE ${conditions.join(' AND ')})`
+    : '';
+
+  // The snippet is built in the outer query: FTS5 functions can't be used
+  // next to the window functions that pick the best hits per session. It
+  // comes from the first searched column with a match
+  const matchedColumn = `CASE ${FTS_COLUMNS.slice(2).map((column, i) =>
+    `WHEN instr(highlight(messages_fts, ${i + 2}, char(2), ''), char(2)) THEN ${i + 2}`).join(' ')} ELSE 2 END`;
+  const rows = db.prepare(`
+    WITH ranked AS (
+      SELECT rowid, rank,
+        ROW_NUMBER() OVER (PARTITION BY session_id ORDER BY rank) AS n,
+        COUNT(*) OVER (PARTITION BY session_id) AS session_hits
+      FROM messages_fts
+      WHERE messages_fts MATCH ?${messageConditions.map(c => ` AND ${c}`).join('')}${sessionCondition}
+    )
+    SELECT f.message_id, f.session_id, m.type, m.timestamp, ${matchedColumn} AS field,
+      snippet(messages_fts, ${matchedColumn}, ?, ?, '…', 16) AS snippet,
+      ranked.rank, ranked.session_hits
+    FROM messages_fts f
+    JOIN ranked ON ranked.rowid = f.rowid AND ranked.n <= ?
+    LEFT JOIN messages m ON m.id = f.message_id
+    WHERE messages_fts MATCH ?
+    ORDER BY f.session_id, ranked.rank
+  `).all(match, ...messageParams, ...params, SNIPPET_START, SNIPPET_END, perSession, match);
+  return rows.map(row => ({ ...row, field: FTS_COLUMNS[row.field] }));
 }
 
 // Star operations
@@ -0,0 +1,394 @@
+/**
+ * Aider Chat History Importer
+ *
+ * Parses the chat history Aider keeps in each repository:
+ * - .aider.chat.history.md: every chat, appended one after another
+ * - .aider.input.history: the prompts typed, each with a timestamp
+ *
+ * Handles:
+ * - Splitting the history into sessions at "# aider chat started at" headers
+ * - "####" lines as user messages, plain markdown as assistant replies and
+ *   "> " blocks (edits applied, commits, command output) as tool cards
+ * - Prompt timestamps from the input history
+ * - The model from the startup banner and from /model switches
+ * - The repository directory as the project
+ * - Incremental re-import: the last session is re-read when the file grows
+ *
+ * Repositories are found below each of the tool's roots: the home directory,
+ * or the folders listed in config.json ("tools": { "aider": { "roots": [...] } }).
+ * The watcher follows the same folders (see isIgnoredAiderPath()), so a
+ * repository's first chat is picked up without a restart.
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { join, basename, dirname, relative, sep, isAbsolute } from 'path';
+import { createHash } from 'crypto';
+import { getTool } from '../tools.config.js';
+import {
+  upsertSession,
+  sessionExists,
+  deleteSessionMessages,
+  saveImportState
+} from '../db/index.js';
+import {
+  readFileFrom,
+  createMessageWriter,
+  importFiles,
+  getFileImportPlan,
+  offsetChecksum,
+  generateMessageId,
+  truncate
+} from './utils.js';
+
+// Where the tool's sessions live unless a root is given (see tools.config.js)
+const DEFAULT_PATH = getTool('aider').defaultPath;
+
+const CHAT_HISTORY_FILE = '.aider.chat.history.md';
+const INPUT_HISTORY_FILE = '.aider.input.history';
+
+const SESSION_HEADER = /^# aider chat started at (.+)$/gm;
+
+// How deep below each search folder repositories are looked for
+const SCAN_DEPTH = 3;
+const SCAN_LIMIT = 20000;
+const SKIP_DIRS = new Set(['node_modules', 'vendor', 'venv', '__pycache__', 'target', 'dist', 'build']);
+
+/**
+ * Find Aider chat history files (one per repository)
+ * @param {string} aiderPath - Folder to search (a repository or a folder of them)
+ * @returns {string[]} Absolute file paths
+ */
+export function findAiderSessionFiles(aiderPath = DEFAULT_PATH) {
+  const files = new Set();
+  let visited = 0;
+
+  const walk = (dir, depth) => {
+    if (visited++ === SCAN_LIMIT) {
+      console.warn(
+        `  Aider: stopped searching ${aiderPath} after ${SCAN_LIMIT} folders; ` +
+        'list the folders that hold your repositories in config.json ("tools": { "aider": { "roots": [...] } })'
+      );
+    }
+    if (visited > SCAN_LIMIT) return;
+    let entries;
+    try {
+      entries = readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (entry.name === CHAT_HISTORY_FILE && entry.isFile()) {
+        files.add(join(dir, entry.name));
+      } else if (depth < SCAN_DEPTH && entry.isDirectory() &&
+                 !entry.name.startsWith('.') && !SKIP_DIRS.has(entry.name)) {
+        walk(join(dir, entry.name), depth + 1);
+      }
+    }
+  };
+
+  if (!existsSync(aiderPath)) {
+    console.log(`  Aider path not found: ${aiderPath}`);
+    return [];
+  }
+  walk(aiderPath, 0);
+
+  return [...files];
+}
+
+/**
+ * Whether the watcher can skip a path below an Aider root: it only needs the
+ * folders findAiderSessionFiles() searches and the chat history files in them
+ * @param {Object} stats - The path's stats, when the watcher has them
+ */
+export function isIgnoredAiderPath(root, filePath, stats) {
+  const rel = relative(root, filePath);
+  if (!rel || rel.startsWith('..') || isAbsolute(rel)) return false;
+  const parts = rel.split(sep);
+  const name = parts[parts.length - 1];
+
+  if (name === CHAT_HISTORY_FILE) return parts.length > SCAN_DEPTH + 1;
+  if (stats?.isFile()) return true;
+  return parts.length > SCAN_DEPTH || name.startsWith('.') || SKIP_DIRS.has(name);
+}
+
+/**
+ * Aider writes local times without a zone ("2025-06-03 10:00:05.123456")
+ */
+function toIsoTimestamp(text) {
+  const match = text.trim().match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}:\d{2})(\.\d{1,3})?/);
+  if (!match) return null;
+  const date = new Date(`${match[1]}T${match[2]}${match[3] || ''}`);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+/**
+ * Read the prompt timestamps from .aider.input.history
+ * @returns {Map<string, string[]>} Prompt text -> ISO timestamps, oldest first
+ */
+function readInputHistory(repoPath) {
+  const byText = new Map();
+  const path = join(repoPath, INPUT_HISTORY_FILE);
+  if (!existsSync(path)) return byText;
+
+  let timestamp = null;
+  let lines = [];
+  const flush = () => {
+    if (timestamp && lines.length > 0) {
+      const text = lines.join('\n').trim();
+      if (!byText.has(text)) byText.set(text, []);
+      byText.get(text).push(timestamp);
+    }
+    lines = [];
+  };
+
+  for (const line of readFileSync(path, 'utf-8').split('\n')) {
+    if (line.startsWith('# ')) {
+      flush();
+      timestamp = toIsoTimestamp(line.slice(2));
+    } else if (line.startsWith('+')) {
+      lines.push(line.slice(1));
+    }
+  }
+  flush();
+
+  for (const timestamps of byText.values()) timestamps.sort();
+  return byText;
+}
+
+// Aider names the model it talks to at startup and after /model
+const MAIN_MODEL = /^Main model: (\S+)/m;
+
+/**
+ * Split one chat into messages
+ *
+ * Aider prefixes every line of a prompt with "####" and every line of its own
+ * output with ">"; everything else is the model's reply. Lines inside code
+ * fences always belong to the reply.
+ *
+ * @returns {{ messages: Array, cliVersion: string|null, model: string|null }}
+ */
+function parseChat(text) {
+  const messages = [];
+  let cliVersion = null;
+  let model = null;
+  let block = null;
+  let inFence = false;
+
+  const flush = () => {
+    if (block) {
+      const content = block.lines.join('\n').trim();
+      if (content) messages.push({ kind: block.kind, content });
+    }
+    block = null;
+  };
+
+  const add = (kind, line) => {
+    if (!block || block.kind !== kind) {
+      flush();
+      block = { kind, lines: [] };
+    }
+    block.lines.push(line);
+  };
+
+  for (const rawLine of text.split('\n')) {
+    // Aider ends lines with two spaces (markdown line breaks)
+    const line = rawLine.replace(/\s+$/, '');
+
+    if (inFence || (block?.kind === 'assistant' && line.startsWith('```'))) {
+      if (line.startsWith('```')) inFence = !inFence;
+      add('assistant', line);
+    } else if (line.startsWith('####')) {
+      add('user', line.replace(/^#### ?/, ''));
+    } else if (line.startsWith('>')) {
+      add('output', line.replace(/^> ?/, ''));
+    } else if (line === '') {
+      // A blank line ends a prompt; replies and output blocks continue
+      if (block?.kind === 'user') flush();
+      else if (block) block.lines.push('');
+    } else {
+      if (line.startsWith('```')) inFence = true;
+      add('assistant', line);
+    }
+  }
+  flush();
+
+  // The output before the first prompt is Aider's startup banner
+  const firstPrompt = messages.findIndex(m => m.kind === 'user');
+  const banner = messages.slice(0, firstPrompt === -1 ? messages.length : firstPrompt)
+    .filter(m => m.kind === 'output');
+  for (const m of banner) {
+    cliVersion = cliVersion || m.content.match(/^Aider v(\S+)/m)?.[1] || null;
+    model = m.content.match(MAIN_MODEL)?.[1] || model;
+  }
+
+  return {
+    messages: firstPrompt === -1 ? [] : messages.slice(firstPrompt),
+    cliVersion,
+    model
+  };
+}
+
+/**
+ * Stable session ID: history file plus where the chat's start header sits in
+ * it (two chats can start within the same second, so the header alone isn't
+ * unique, and an incremental pass only sees the chats from the last one on)
+ */
+function makeSessionId(filePath, header, offset) {
+  const hash = createHash('sha256').update(`${filePath}\n${offset}\n${header}`).digest('hex');
+  return `aider-${hash.slice(0, 24)}`;
+}
+
+/**
+ * Import (or continue importing) the chats of one .aider.chat.history.md
+ *
+ * The history is append-only, so the import state remembers where the last
+ * chat starts: when the file grows, that chat is re-read (it may have new
+ * messages) along with any chats after it.
+ *
+ * @param {string} filePath - Path to .aider.chat.history.md
+ * @returns {Promise<{ imported: boolean, sessionIds: string[], records: number, bytes: number }>}
+ */
+export async function importAiderFile(filePath) {
+  const plan = getFileImportPlan(filePath);
+  if (plan.mode === 'skip') {
+    return { imported: false, skipped: true, records: 0, bytes: 0 };
+  }
+
+  const repoPath = dirname(filePath);
+  const buffer = readFileFrom(filePath, plan.offset);
+  const text = buffer.toString('utf-8');
+
+  // Chats in the unread part of the file, with their byte offsets
+  const chats = [];
+  const headers = [...text.matchAll(SESSION_HEADER)];
+  if (headers.length === 0 || headers[0].index > 0) {
+    const end = headers.length > 0 ? headers[0].index : text.length;
+    // Text before the first header only counts if Aider wrote one (never on a real file)
+    if (text.slice(0, end).trim()) {
+      chats.push({ header: '', startedAt: null, start: 0, body: text.slice(0, end) });
+    }
+  }
+  headers.forEach((match, i) => {
+    const end = i + 1 < headers.length ? headers[i + 1].index : text.length;
+    chats.push({
+      header: match[0],
+      startedAt: toIsoTimestamp(match[1]),
+      start: match.index,
+      body: text.slice(match.index + match[0].length, end)
+    });
+  });
+
+  const inputs = readInputHistory(repoPath);
+  const takeInputTime = (content, after) => {
+    const times = inputs.get(content);
+    const index = times ? times.findIndex(t => !after || t >= after) : -1;
+    return index === -1 ? null : times.splice(index, 1)[0];
+  };
+
+  const project = basename(repoPath);
+  let messageCount = 0;
+  let recordsBeforeLast = plan.records;
+  const sessionIds = [];
+
+  chats.forEach((chat, i) => {
+    const { messages, cliVersion, model: startModel } = parseChat(chat.body);
+    const offset = plan.offset + Buffer.byteLength(text.slice(0, chat.start));
+    const sessionId = makeSessionId(filePath, chat.header, offset);
+
+    if (i < chats.length - 1) recordsBeforeLast += messages.length;
+    messageCount += messages.length;
+    if (messages.length === 0) return;
+
+    // Chats are always re-read whole, so replace what the last pass stored
+    if (sessionExists(sessionId)) {
+      deleteSessionMessages(sessionId);
+    }
+
+    const writer = createMessageWriter(sessionId, 'aider');
+    let lastTs = chat.startedAt;
+    let summary = null;
+    let model = startModel;
+
+    messages.forEach((message, position) => {
+      if (message.kind === 'user') {
+        lastTs = takeInputTime(message.content, lastTs) || lastTs;
+        if (!summary && !message.content.startsWith('/')) {
+          summary = truncate(message.content, 200);
+        }
+      } else if (message.kind === 'output') {
+        model = message.content.match(MAIN_MODEL)?.[1] || model;
+      }
+
+      writer.push({
+        id: generateMessageId(sessionId, position),
+        type: message.kind === 'user' ? 'user' : 'assistant',
+        content: message.kind === 'output' ? null : message.content,
+        thinking: null,
+        timestamp: lastTs,
+        tool_name: message.kind === 'output' ? 'aider' : null,
+        tool_input: null,
+        tool_output: message.kind === 'output' ? message.content : null,
+        position,
+        model: message.kind === 'assistant' ? model : null
+      });
+    });
+    writer.flush();
+
+    upsertSession({
+      id: sessionId,
+      tool: 'aider',
+      project,
+      project_path: repoPath,
+      started_at: chat.startedAt || lastTs,
+      ended_at: lastTs,
+      message_count: writer.count,
+      summary: summary || truncate(messages.find(m => m.kind === 'user').content, 200),
+      git_branch: null,
+      cli_version: cliVersion
+    });
+
+    sessionIds.push(sessionId);
+  });
+  const lastSessionId = sessionIds.length > 0 ? sessionIds[sessionIds.length - 1] : null;
+
+  // Next time, start again at the last chat (it may still be growing)
+  const lastStart = chats.length > 0 ? chats[chats.length - 1].start : text.length;
+  const offset = plan.offset + Buffer.byteLength(text.slice(0, lastStart));
+  saveImportState({
+    file_path: filePath,
+    session_id: lastSessionId,
+    tool: 'aider',
+    size: plan.size,
+    mtime: plan.mtime,
+    offset,
+    records: chats.length > 0 ? recordsBeforeLast : plan.records,
+    checksum: offsetChecksum(filePath, offset)
+  });
+
+  return {
+    imported: sessionIds.length > 0,
+    sessionId: lastSessionId,
+    sessionIds,
+    records: messageCount,
+    totalRecords: plan.records + messageCount,
+    bytes: buffer.length,
+    errors: 0,
+    errorLines: [],
+    append: plan.mode === 'append'
+  };
+}
+
+/**
+ * Import Aider chat histories
+ * @param {string} aiderPath - Folder to search (default: home)
+ * @param {Object} options - { onProgress: called after each file (see importFiles) }
+ * @returns {number} Number of history files with imported or updated chats
+ */
+export async function importAiderSessions(aiderPath = DEFAULT_PATH, options = {}) {
+  const files = findAiderSessionFiles(aiderPath);
+  const { imported } = await importFiles(files, importAiderFile, { ...options, tool: 'aider' });
+  return imported;
+}
+
+export default importAiderSessions;
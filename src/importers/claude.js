@@ -6,25 +6,76 @@
  *
  * Handles:
  * - Multi-block message content (text, tool_use, tool_result)
+ * - Pairing tool_use blocks with their tool_result by tool_use_id
+ * - Conversation tree: parent links, sidechains (subagents) and edit branches
+ * - Incremental re-import of sessions that are still growing
+ * - Streaming very large transcripts with batched writes
  * - Extended thinking blocks extraction
- * - Project name extraction from folder paths
+ * - Model and token usage of each API response
+ * - Project identity from the recorded cwd, git branch and CLI version
+ *   (falling back to the encoded folder name for old transcripts)
  * - Summary generation from first user message
  */
 
 import { existsSync, readdirSync, statSync } from 'fs';
-import { join } from 'path';
-import { homedir } from 'os';
-import { upsertSession, insertMessages, sessionExists } from '../db/index.js';
-import { parseJsonlFile, extractProjectName, generateMessageId } from './utils.js';
+import { join, basename, dirname } from 'path';
+import { getTool } from '../tools.config.js';
+import {
+  upsertSession,
+  sessionExists,
+  deleteSessionMessages,
+  getSessionMessageStats,
+  updateToolResult,
+  findParentMessage,
+  findResponseMessage,
+  updateMessageUsage,
+  saveImportState
+} from '../db/index.js';
+import {
+  readJsonlRecords,
+  createMessageWriter,
+  importFiles,
+  getFileImportPlan,
+  offsetChecksum,
+  decodeClaudeProjectDir,
+  extractProjectName,
+  generateMessageId
+} from './utils.js';
 
-const DEFAULT_PATH = join(homedir(), '.claude', 'projects');
+// Where the tool's sessions live unless a root is given (see tools.config.js)
+const DEFAULT_PATH = getTool('claude').defaultPath;
 
 /**
- * Extract text content and thinking from a Claude message
+ * Flatten a tool_result content payload (string or block array) into text
+ */
+function extractToolResultText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return null;
+  }
+
+  const parts = [];
+  for (const block of content) {
+    if (typeof block !== 'object' || !block) continue;
+    if (block.type === 'text') {
+      parts.push(block.text || '');
+    } else if (block.type === 'image') {
+      parts.push('[image]');
+    }
+  }
+  return parts.length > 0 ? parts.join('\n') : null;
+}
+
+/**
+ * Extract text content, thinking, tool calls and tool results from a Claude message
  */
 function extractMessageContent(msg) {
   let content = null;
   let thinking = null;
+  const toolUses = [];
+  const toolResults = [];
 
   if (msg.message) {
     const message = msg.message;
@@ -38,6 +89,18 @@ function extractMessageContent(msg) {
             textParts.push(part.text || '');
           } else if (part.type === 'thinking') {
             thinking = part.thinking || '';
+          } else if (part.type === 'tool_use') {
+            toolUses.push({
+              id: part.id,
+              name: part.name || 'unknown',
+              input: part.input ?? null
+            });
+          } else if (part.type === 'tool_result') {
+            toolResults.push({
+              toolUseId: part.tool_use_id,
+              output: extractToolResultText(part.content),
+              isError: part.is_error === true
+            });
           }
         }
       }
@@ -47,23 +110,37 @@ function extractMessageContent(msg) {
     content = typeof msg.content === 'string' ? msg.content : null;
   }
 
-  return { content, thinking };
+  return { content, thinking, toolUses, toolResults };
 }
 
 /**
- * Import Claude Code sessions
+ * Token usage of an assistant message, in the columns messages store
+ */
+function extractUsage(message) {
+  const usage = message?.usage;
+  if (!usage || typeof usage !== 'object') {
+    return null;
+  }
+  return {
+    input_tokens: usage.input_tokens || 0,
+    output_tokens: usage.output_tokens || 0,
+    cache_read_tokens: usage.cache_read_input_tokens || 0,
+    cache_creation_tokens: usage.cache_creation_input_tokens || 0
+  };
+}
+
+/**
+ * Find Claude Code session files (one JSONL file per session, grouped by project folder)
  * @param {string} claudePath - Path to Claude projects directory
- * @returns {number} Number of imported sessions
+ * @returns {string[]} Absolute file paths
  */
-export async function importClaudeSessions(claudePath = DEFAULT_PATH) {
+export function findClaudeSessionFiles(claudePath = DEFAULT_PATH) {
   if (!existsSync(claudePath)) {
     console.log(`  Claude path not found: ${claudePath}`);
-    return 0;
+    return [];
   }
 
-  let imported = 0;
-
-  // Iterate through project directories
+  const files = [];
   const projectDirs = readdirSync(claudePath).filter(name => {
     const fullPath = join(claudePath, name);
     return statSync(fullPath).isDirectory();
@@ -71,84 +148,269 @@ export async function importClaudeSessions(claudePath = DEFAULT_PATH) {
 
   for (const projectDir of projectDirs) {
     const projectPath = join(claudePath, projectDir);
-    const projectName = extractProjectName(projectDir);
+    for (const jsonlFile of readdirSync(projectPath)) {
+      if (jsonlFile.endsWith('.jsonl')) {
+        files.push(join(projectPath, jsonlFile));
+      }
+    }
+  }
 
-    // Find all JSONL files in project directory
-    const jsonlFiles = readdirSync(projectPath).filter(f => f.endsWith('.jsonl'));
+  return files;
+}
 
-    for (const jsonlFile of jsonlFiles) {
-      const sessionId = jsonlFile.replace('.jsonl', '');
+/**
+ * Import (or continue importing) a single Claude Code session file
+ *
+ * Records are streamed from the file and messages written in batches, so a
+ * session of any size is imported in constant memory.
+ *
+ * @param {string} filePath - Path to the session JSONL file
+ * @returns {Promise<{ imported: boolean, records: number, bytes: number }>}
+ */
+export async function importClaudeFile(filePath) {
+  const sessionId = basename(filePath, '.jsonl');
+  const projectDir = basename(dirname(filePath));
 
-      // Skip if already imported
-      if (sessionExists(sessionId)) {
-        continue;
-      }
+  // Skip files that haven't changed since the last import
+  const plan = getFileImportPlan(filePath);
+  if (plan.mode === 'skip') {
+    return { imported: false, skipped: true, records: 0, bytes: 0 };
+  }
 
-      const filePath = join(projectPath, jsonlFile);
-      const { messages: rawMessages, errors } = parseJsonlFile(filePath);
+  // A rewritten file (or one imported before state was tracked) is re-read
+  // from the start, so drop what we stored for it last time
+  if (plan.mode === 'full' && sessionExists(sessionId)) {
+    deleteSessionMessages(sessionId);
+  }
+  const existing = plan.mode === 'append'
+    ? getSessionMessageStats(sessionId)
+    : { count: 0, next_position: 0 };
+  const basePosition = existing.next_position;
 
-      if (rawMessages.length === 0) {
-        continue;
-      }
+  // Extract session metadata
+  let summary = null;
+  let firstTs = null;
+  let lastTs = null;
+  let cwd = null;
+  let gitBranch = null;
+  let cliVersion = null;
+  const writer = createMessageWriter(sessionId, 'claude');
 
-      // Extract session metadata
-      let summary = null;
-      let firstTs = null;
-      let lastTs = null;
-      const messages = [];
+  // tool_use messages waiting for their tool_result (keyed by tool_use_id)
+  const pendingTools = new Map();
 
-      for (let i = 0; i < rawMessages.length; i++) {
-        const msg = rawMessages[i];
-        const msgType = msg.type || '';
-        const ts = msg.timestamp;
+  // A response is written as one record per content block, each repeating
+  // the usage so far. Usage is kept on the first row of the response
+  // (keyed by API message id) and updated by the records that follow.
+  const usageRows = new Map();
+  const findUsageRow = (responseId) => {
+    if (!usageRows.has(responseId) && plan.mode === 'append') {
+      const id = findResponseMessage(sessionId, responseId);
+      // Stored by an earlier import pass
+      usageRows.set(responseId, id ? { id, stored: true } : null);
+    }
+    return usageRows.get(responseId) || null;
+  };
 
-        if (msgType === 'summary') {
-          summary = msg.summary || '';
-        }
+  // Records form a tree (uuid / parentUuid). Map each record uuid to the
+  // last message row it produced, so children can point at a stored row.
+  // Records that produce no row (tool results, system records) alias the
+  // row they complete or their parent's row.
+  const rowForUuid = new Map();
+  const resolveParent = (uuid, isSidechain) => {
+    if (!uuid) return null;
+    if (!rowForUuid.has(uuid) && plan.mode === 'append') {
+      rowForUuid.set(uuid, findParentMessage(sessionId, uuid, isSidechain));
+    }
+    return rowForUuid.get(uuid) ?? null;
+  };
 
-        if (ts) {
-          if (!firstTs) firstTs = ts;
-          lastTs = ts;
-        }
+  const reader = readJsonlRecords(filePath, { offset: plan.offset, line: plan.lines });
+  let index = plan.records;
 
-        if (msgType === 'user' || msgType === 'assistant') {
-          const { content, thinking } = extractMessageContent(msg);
-
-          messages.push({
-            id: msg.uuid || generateMessageId(sessionId, i),
-            type: msgType,
-            content,
-            thinking,
-            timestamp: ts,
-            tool_name: null,
-            tool_input: null,
-            tool_output: null,
-            position: i
-          });
+  for await (const msg of reader) {
+    const msgType = msg.type || '';
+    const ts = msg.timestamp;
+
+    if (msgType === 'summary') {
+      summary = msg.summary || '';
+    }
+
+    if (ts) {
+      if (!firstTs) firstTs = ts;
+      lastTs = ts;
+    }
+
+    // The session starts in its project root; later records may have cd'd elsewhere
+    if (!cwd && msg.cwd) cwd = msg.cwd;
+    if (msg.gitBranch) gitBranch = msg.gitBranch;
+    if (msg.version) cliVersion = msg.version;
+
+    // Subagent (Task) runs are marked as sidechains; compaction starts a new
+    // chain whose logical parent is the last record before it
+    const isSidechain = msg.isSidechain === true;
+    let lastRow = resolveParent(msg.parentUuid || msg.logicalParentUuid, isSidechain);
+
+    if (msgType === 'user' || msgType === 'assistant') {
+      const { content, thinking, toolUses, toolResults } = extractMessageContent(msg);
+
+      // Error messages generated by the CLI itself are marked as a <synthetic> model
+      const apiModel = msgType === 'assistant' ? msg.message?.model : null;
+      const model = apiModel && apiModel !== '<synthetic>' ? apiModel : null;
+      const responseId = msgType === 'assistant' ? msg.message?.id || msg.requestId : null;
+      let usage = model ? extractUsage(msg.message) : null;
+
+      const usageRow = usage && responseId ? findUsageRow(responseId) : null;
+      if (usageRow) {
+        Object.assign(usageRow, usage);
+        if (usageRow.stored || writer.isWritten(usageRow)) {
+          updateMessageUsage(sessionId, usageRow.id, usage);
         }
+        usage = null;
       }
+      // The first row this record produces carries its usage
+      const withUsage = (message) => {
+        if (!usage) return message;
+        Object.assign(message, usage, { response_id: responseId || null });
+        if (responseId) usageRows.set(responseId, message);
+        usage = null;
+        return message;
+      };
 
-      // Insert session
-      upsertSession({
-        id: sessionId,
-        tool: 'claude',
-        project: projectName,
-        project_path: projectPath,
-        started_at: firstTs,
-        ended_at: lastTs,
-        message_count: messages.length,
-        summary
-      });
+      // Attach results to the tool calls they answer
+      for (const result of toolResults) {
+        const toolMessage = pendingTools.get(result.toolUseId);
+        if (toolMessage) {
+          toolMessage.tool_output = result.output;
+          toolMessage.tool_error = result.isError;
+          pendingTools.delete(result.toolUseId);
+          lastRow = toolMessage.id;
+          if (writer.isWritten(toolMessage)) {
+            updateToolResult(sessionId, toolMessage.id, result.output, result.isError);
+          }
+        } else if (plan.mode === 'append') {
+          // Tool call stored by an earlier import pass
+          updateToolResult(sessionId, result.toolUseId, result.output, result.isError);
+          lastRow = result.toolUseId;
+        }
+      }
 
-      // Insert messages
-      if (messages.length > 0) {
-        insertMessages(sessionId, messages);
+      if (content || thinking) {
+        const id = msg.uuid || generateMessageId(sessionId, index);
+        writer.push(withUsage({
+          id,
+          type: msgType,
+          content,
+          thinking,
+          timestamp: ts,
+          tool_name: null,
+          tool_input: null,
+          tool_output: null,
+          parent_id: lastRow,
+          is_sidechain: isSidechain,
+          position: basePosition + writer.count,
+          model
+        }));
+        lastRow = id;
       }
 
-      imported++;
+      // Each tool call becomes its own message so it can be shown as a card
+      toolUses.forEach((toolUse, n) => {
+        const toolMessage = {
+          id: toolUse.id || generateMessageId(sessionId, `${index}_${n}`),
+          type: 'assistant',
+          content: null,
+          thinking: null,
+          timestamp: ts,
+          tool_name: toolUse.name,
+          tool_input: toolUse.input,
+          tool_output: null,
+          tool_error: false,
+          parent_id: lastRow,
+          is_sidechain: isSidechain,
+          position: basePosition + writer.count,
+          model
+        };
+        writer.push(withUsage(toolMessage));
+        lastRow = toolMessage.id;
+        if (toolUse.id) {
+          pendingTools.set(toolUse.id, toolMessage);
+        }
+      });
     }
+
+    if (msg.uuid) {
+      rowForUuid.set(msg.uuid, lastRow);
+    }
+    index++;
+  }
+
+  writer.flush();
+
+  const fileState = {
+    file_path: filePath,
+    session_id: sessionId,
+    tool: 'claude',
+    size: plan.size,
+    mtime: plan.mtime,
+    offset: reader.offset,
+    records: plan.records + reader.records,
+    lines: reader.lines,
+    checksum: offsetChecksum(filePath, reader.offset)
+  };
+  const stats = {
+    imported: false,
+    sessionId,
+    records: reader.records,
+    totalRecords: fileState.records,
+    bytes: reader.bytes,
+    errors: reader.errors,
+    errorLines: reader.errorLines,
+    append: plan.mode === 'append'
+  };
+
+  if (reader.records === 0) {
+    saveImportState(fileState);
+    return stats;
+  }
+
+  // The project comes from the start of the session: an append pass reads
+  // records written after a cd, so the stored project is kept (null below)
+  let projectPath = null;
+  let projectName = null;
+  if (plan.mode === 'full') {
+    // Older transcripts don't record cwd: recover it from the folder name
+    projectPath = cwd || decodeClaudeProjectDir(projectDir);
+    projectName = projectPath ? basename(projectPath) : extractProjectName(projectDir);
   }
 
+  // Insert session
+  upsertSession({
+    id: sessionId,
+    tool: 'claude',
+    project: projectName,
+    project_path: projectPath,
+    started_at: firstTs,
+    ended_at: lastTs,
+    message_count: existing.count + writer.count,
+    summary,
+    git_branch: gitBranch,
+    cli_version: cliVersion
+  });
+
+  saveImportState(fileState);
+  return { ...stats, imported: true };
+}
+
+/**
+ * Import Claude Code sessions
+ * @param {string} claudePath - Path to Claude projects directory
+ * @param {Object} options - { onProgress: called after each file (see importFiles) }
+ * @returns {number} Number of imported or updated sessions
+ */
+export async function importClaudeSessions(claudePath = DEFAULT_PATH, options = {}) {
+  const files = findClaudeSessionFiles(claudePath);
+  const { imported } = await importFiles(files, importClaudeFile, { ...options, tool: 'claude' });
   return imported;
 }
 
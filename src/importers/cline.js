@@ -0,0 +1,419 @@
+/**
+ * Cline / Roo Code Task Importer
+ *
+ * Parses the task folders the Cline and Roo Code VS Code extensions keep in
+ * globalStorage/<extension>/tasks/<taskId>/:
+ * - api_conversation_history.json: the messages sent to the model
+ * - ui_messages.json: what the chat panel showed, with timestamps
+ *
+ * Handles:
+ * - Tool uses, both the XML tags older versions write into the text
+ *   (<read_file><path>...</path></read_file>) and native tool_use blocks
+ * - Tool results ("[read_file for 'x'] Result:" and tool_result blocks),
+ *   with user feedback and follow-up answers given inside them
+ * - <thinking> blocks, <task> / <feedback> wrappers and environment_details
+ * - The task's workspace directory as the project (task history, else the
+ *   working directory named in environment_details)
+ *
+ * Both extensions share the format; the tool id (cline or roo) comes from
+ * tools.config.js.
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { join, basename, dirname } from 'path';
+import { getTool } from '../tools.config.js';
+import {
+  upsertSession,
+  sessionExists,
+  deleteSessionMessages,
+  updateToolResult,
+  saveImportState
+} from '../db/index.js';
+import {
+  parseJsonFile,
+  createMessageWriter,
+  importFiles,
+  getFileImportPlan,
+  generateMessageId,
+  truncate
+} from './utils.js';
+
+// Where the tool's sessions live unless a root is given (see tools.config.js)
+const DEFAULT_PATH = getTool('cline').defaultPath;
+
+const API_HISTORY_FILE = 'api_conversation_history.json';
+const UI_MESSAGES_FILE = 'ui_messages.json';
+
+// Tools Cline and Roo Code invoke with XML tags in the assistant text
+const XML_TOOLS = [
+  'execute_command', 'read_file', 'write_to_file', 'replace_in_file', 'apply_diff',
+  'insert_content', 'search_and_replace', 'search_files', 'list_files',
+  'list_code_definition_names', 'codebase_search', 'browser_action', 'web_fetch',
+  'use_mcp_tool', 'access_mcp_resource', 'load_mcp_documentation',
+  'ask_followup_question', 'attempt_completion', 'plan_mode_respond',
+  'new_task', 'switch_mode', 'fetch_instructions', 'update_todo_list'
+];
+const XML_TOOL_PATTERN = new RegExp(`<(${XML_TOOLS.join('|')})>([\\s\\S]*?)(?:</\\1>|$)`, 'g');
+const XML_PARAM_PATTERN = /<(\w+)>([\s\S]*?)<\/\1>/g;
+const THINKING_PATTERN = /<thinking>([\s\S]*?)(?:<\/thinking>|$)/g;
+const ENVIRONMENT_PATTERN = /<environment_details>[\s\S]*?(?:<\/environment_details>|$)/g;
+const WORKSPACE_PATTERN = /# Current (?:Working|Workspace) Directory \((.+?)\) Files/;
+const RESULT_HEADER = /^\[([\w-]+)(?: for '[\s\S]*?')?\] Result:\s*/;
+
+/**
+ * Find task histories (tasks/<taskId>/api_conversation_history.json)
+ * @param {string} tasksPath - The extension's tasks directory
+ * @returns {string[]} Absolute file paths
+ */
+export function findClineSessionFiles(tasksPath = DEFAULT_PATH) {
+  if (!existsSync(tasksPath)) {
+    console.log(`  Task path not found: ${tasksPath}`);
+    return [];
+  }
+
+  const files = [];
+  for (const taskId of readdirSync(tasksPath)) {
+    const historyFile = join(tasksPath, taskId, API_HISTORY_FILE);
+    if (existsSync(historyFile) && statSync(historyFile).isFile()) {
+      files.push(historyFile);
+    }
+  }
+  return files;
+}
+
+/**
+ * Per-run state: which tool the tasks belong to and the extension's task
+ * history (state/taskHistory.json, next to the tasks directory), which
+ * records each task's workspace
+ * @param {string} tasksPath - The extension's tasks directory
+ * @param {string} toolId - 'cline' or 'roo'
+ */
+export function createClineContext(tasksPath = DEFAULT_PATH, toolId = null) {
+  const history = new Map();
+  const items = parseJsonFile(join(dirname(tasksPath), 'state', 'taskHistory.json'), { quiet: true });
+  for (const item of Array.isArray(items) ? items : []) {
+    if (item?.id) history.set(String(item.id), item);
+  }
+
+  return {
+    tool: toolId || (tasksPath.includes('roo-cline') ? 'roo' : 'cline'),
+    history
+  };
+}
+
+/**
+ * Text of a message's content (string or content blocks)
+ */
+function blocksOf(content) {
+  if (typeof content === 'string') return [{ type: 'text', text: content }];
+  return Array.isArray(content) ? content : [];
+}
+
+function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  return blocksOf(content).filter(b => b.type === 'text').map(b => b.text).join('\n');
+}
+
+/**
+ * Unwrap the tags the extensions put around what the user typed
+ */
+function cleanUserText(text) {
+  return text
+    .replace(ENVIRONMENT_PATTERN, '')
+    .replace(/<\/?(task|feedback|user_message|answer)>/g, '')
+    .trim();
+}
+
+/**
+ * What the user said inside a tool result (feedback on a completion,
+ * answer to a follow-up question)
+ */
+function extractUserReply(output) {
+  const match = output.match(/<(feedback|answer)>([\s\S]*?)<\/\1>/);
+  return match ? match[2].trim() : null;
+}
+
+/**
+ * Split assistant text into reply, thinking and XML tool calls
+ */
+function parseAssistantText(text) {
+  const thinking = [];
+  const toolCalls = [];
+
+  let rest = text.replace(THINKING_PATTERN, (_, inner) => {
+    thinking.push(inner.trim());
+    return '';
+  });
+  rest = rest.replace(XML_TOOL_PATTERN, (_, name, inner) => {
+    const input = {};
+    for (const [, param, value] of inner.matchAll(XML_PARAM_PATTERN)) {
+      input[param] = value.replace(/^\n/, '').replace(/\n$/, '');
+    }
+    toolCalls.push({ name, input });
+    return '';
+  });
+
+  return { content: rest.trim(), thinking: thinking.filter(Boolean), toolCalls };
+}
+
+/**
+ * Import a single Cline / Roo Code task
+ *
+ * The extensions rewrite both files on every step, so a changed task is
+ * re-read whole (message IDs are stable, so tags stay attached).
+ *
+ * @param {string} filePath - Path to the task's api_conversation_history.json
+ * @param {Object} context - From createClineContext() (created from the path if omitted)
+ * @returns {Promise<{ imported: boolean, records: number, bytes: number }>}
+ */
+export async function importClineFile(filePath, context = null) {
+  const taskDir = dirname(filePath);
+  context = context || createClineContext(dirname(taskDir));
+
+  // Skip files that haven't changed since the last import
+  const plan = getFileImportPlan(filePath);
+  if (plan.mode === 'skip') {
+    return { imported: false, skipped: true, records: 0, bytes: 0 };
+  }
+
+  // The extension rewrites the file in place, so a read can catch it half-written
+  let apiMessages;
+  try {
+    apiMessages = JSON.parse(readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    console.error(`  ❌ Failed to parse JSON: ${filePath} - ${err.message}`);
+    return {
+      imported: false,
+      records: 0,
+      bytes: plan.size,
+      errors: 1,
+      errorLines: [{ line: null, message: err.message }]
+    };
+  }
+  if (!Array.isArray(apiMessages)) apiMessages = [];
+
+  const taskId = basename(taskDir);
+  const sessionId = `${context.tool}-${taskId}`;
+  const historyItem = context.history.get(taskId) || {};
+  const uiMessages = parseJsonFile(join(taskDir, UI_MESSAGES_FILE), { quiet: true });
+  const ui = Array.isArray(uiMessages) ? uiMessages : [];
+
+  const fileState = {
+    file_path: filePath,
+    session_id: sessionId,
+    tool: context.tool,
+    size: plan.size,
+    mtime: plan.mtime,
+    offset: 0,
+    records: apiMessages.length
+  };
+  const stats = {
+    imported: false,
+    sessionId,
+    records: apiMessages.length,
+    totalRecords: apiMessages.length,
+    bytes: plan.size
+  };
+
+  if (apiMessages.length === 0) {
+    saveImportState(fileState);
+    return stats;
+  }
+
+  // Timestamps: Roo Code stamps API messages itself; otherwise the n-th
+  // request in the chat panel started the n-th assistant reply
+  const toIso = (ts) => (ts ? new Date(ts).toISOString() : null);
+  const requestTimes = ui.filter(m => m.say === 'api_req_started').map(m => m.ts);
+  // (Cline task IDs are the creation time in milliseconds)
+  const taskTs = ui[0]?.ts || apiMessages[0].ts || (/^\d{13}$/.test(taskId) ? Number(taskId) : null);
+  const lastUiTs = ui.length > 0 ? ui[ui.length - 1].ts : null;
+
+  let projectPath = historyItem.cwdOnTaskInitialization || historyItem.workspace || null;
+  let summary = historyItem.task ? truncate(historyItem.task, 200) : null;
+
+  if (sessionExists(sessionId)) {
+    deleteSessionMessages(sessionId);
+  }
+  const writer = createMessageWriter(sessionId, context.tool);
+
+  // XML tool calls wait for the next "[tool] Result:"; native ones for their tool_use_id
+  const pendingXml = [];
+  const pendingById = new Map();
+  let assistantTurn = 0;
+  let lastTs = toIso(taskTs);
+
+  // A tool call may already be in the database when its result comes
+  const setToolOutput = (toolMessage, output, isError) => {
+    toolMessage.tool_output = output;
+    toolMessage.tool_error = isError;
+    if (writer.isWritten(toolMessage)) {
+      updateToolResult(sessionId, toolMessage.id, output, isError);
+    }
+  };
+
+  const push = (message) => {
+    const row = {
+      thinking: null,
+      tool_name: null,
+      tool_input: null,
+      tool_output: null,
+      ...message,
+      position: writer.count
+    };
+    writer.push(row);
+    return row;
+  };
+
+  apiMessages.forEach((msg, i) => {
+    const requestTs = assistantTurn < requestTimes.length ? requestTimes[assistantTurn] : lastUiTs;
+    const ts = toIso(msg.ts || requestTs) || lastTs;
+    lastTs = ts;
+    let part = 0;
+    const nextId = () => generateMessageId(sessionId, `${i}_${part++}`);
+
+    if (msg.role === 'assistant') {
+      assistantTurn++;
+      const texts = [];
+      const thinking = [];
+      const toolCalls = [];
+
+      for (const block of blocksOf(msg.content)) {
+        if (block.type === 'text') {
+          const parsed = parseAssistantText(block.text || '');
+          if (parsed.content) texts.push(parsed.content);
+          thinking.push(...parsed.thinking);
+          toolCalls.push(...parsed.toolCalls.map(call => ({ ...call, xml: true })));
+        } else if (block.type === 'thinking' || block.type === 'reasoning') {
+          if (block.thinking || block.text) thinking.push(block.thinking || block.text);
+        } else if (block.type === 'tool_use') {
+          toolCalls.push({ id: block.id, name: block.name, input: block.input ?? null });
+        }
+      }
+
+      if (texts.length > 0 || thinking.length > 0) {
+        push({
+          id: nextId(),
+          type: 'assistant',
+          content: texts.join('\n\n') || null,
+          thinking: thinking.join('\n\n') || null,
+          timestamp: ts
+        });
+      }
+
+      // Each tool call becomes its own message so it can be shown as a card
+      for (const call of toolCalls) {
+        const toolMessage = push({
+          id: nextId(),
+          type: 'assistant',
+          content: null,
+          timestamp: ts,
+          tool_name: call.name,
+          tool_input: call.input
+        });
+        if (call.xml) pendingXml.push(toolMessage);
+        else if (call.id) pendingById.set(call.id, toolMessage);
+      }
+      return;
+    }
+
+    // User turn: typed text, tool results, or both
+    const typed = [];
+    const replies = [];
+    let result = null;
+
+    const finishResult = () => {
+      if (!result) return;
+      const output = result.parts.join('\n').trim() || null;
+      if (result.message) {
+        setToolOutput(result.message, output, result.isError || /<error>/.test(output || ''));
+      }
+      const reply = output && extractUserReply(output);
+      if (reply) replies.push(reply);
+      result = null;
+    };
+
+    for (const block of blocksOf(msg.content)) {
+      if (block.type === 'tool_result') {
+        finishResult();
+        result = {
+          message: pendingById.get(block.tool_use_id),
+          parts: [toolResultText(block.content)],
+          isError: !!block.is_error
+        };
+        pendingById.delete(block.tool_use_id);
+        finishResult();
+      } else if (block.type === 'text') {
+        const text = block.text || '';
+        if (!projectPath) {
+          projectPath = text.match(WORKSPACE_PATTERN)?.[1] || null;
+        }
+
+        const header = text.match(RESULT_HEADER);
+        if (header) {
+          finishResult();
+          result = { message: pendingXml.shift(), parts: [], isError: false };
+          const rest = text.slice(header[0].length).replace(ENVIRONMENT_PATTERN, '');
+          if (rest.trim()) result.parts.push(rest);
+        } else if (text.startsWith('[TASK RESUMPTION]')) {
+          // Generated when a task is reopened; keep only new instructions
+          const instructions = text.match(/<user_message>([\s\S]*?)<\/user_message>/);
+          if (instructions) typed.push(instructions[1].trim());
+        } else if (result) {
+          const rest = text.replace(ENVIRONMENT_PATTERN, '');
+          if (rest.trim()) result.parts.push(rest);
+        } else {
+          const cleaned = cleanUserText(text);
+          if (cleaned) typed.push(cleaned);
+        }
+      }
+    }
+    finishResult();
+
+    for (const content of [...typed, ...replies]) {
+      if (!summary && !content.startsWith('[')) {
+        summary = truncate(content, 200);
+      }
+      push({ id: nextId(), type: 'user', content, timestamp: ts });
+    }
+  });
+  writer.flush();
+
+  if (writer.count === 0) {
+    saveImportState(fileState);
+    return stats;
+  }
+
+  upsertSession({
+    id: sessionId,
+    tool: context.tool,
+    project: projectPath ? basename(projectPath) : null,
+    project_path: projectPath,
+    started_at: toIso(taskTs) || lastTs,
+    ended_at: toIso(lastUiTs || historyItem.ts) || lastTs,
+    message_count: writer.count,
+    summary: summary || `${context.tool === 'roo' ? 'Roo Code' : 'Cline'} task`,
+    git_branch: null,
+    cli_version: null
+  });
+
+  saveImportState(fileState);
+  return { ...stats, imported: true };
+}
+
+/**
+ * Import Cline / Roo Code tasks
+ * @param {string} tasksPath - The extension's tasks directory
+ * @param {Object} options - { tool: 'cline' or 'roo', onProgress: called after each file (see importFiles) }
+ * @returns {number} Number of imported or updated sessions
+ */
+export async function importClineSessions(tasksPath = DEFAULT_PATH, options = {}) {
+  const context = createClineContext(tasksPath, options.tool);
+  const files = findClineSessionFiles(tasksPath);
+  const { imported } = await importFiles(files, file => importClineFile(file, context), {
+    ...options,
+    tool: context.tool
+  });
+  return imported;
+}
+
+export default importClineSessions;
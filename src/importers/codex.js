@@ -8,31 +8,162 @@
  * - Date-based folder structure navigation
  * - Cross-platform path handling (Windows/Unix)
  * - Message role mapping (user/assistant)
- * - Project detection from session metadata
+ * - Tool calls (shell, apply_patch, ...) paired with their outputs by call_id
+ * - Reasoning summaries attached as thinking
+ * - Project, git branch and CLI version from session metadata
+ * - Model (turn_context) and token usage (token_count events) per response
+ * - Incremental re-import of sessions that are still growing
+ * - Streaming very large rollouts with batched writes
  */
 
 import { existsSync } from 'fs';
 import { join, basename } from 'path';
-import { homedir } from 'os';
+import { getTool } from '../tools.config.js';
 import { glob } from 'fs/promises';
-import { upsertSession, insertMessages, sessionExists } from '../db/index.js';
-import { parseJsonlFile, generateMessageId, truncate } from './utils.js';
+import {
+  upsertSession,
+  sessionExists,
+  deleteSessionMessages,
+  getSessionMessageStats,
+  updateToolResult,
+  updateMessageUsage,
+  addLatestMessageUsage,
+  saveImportState
+} from '../db/index.js';
+import {
+  readJsonlRecords,
+  createMessageWriter,
+  importFiles,
+  getFileImportPlan,
+  offsetChecksum,
+  generateMessageId,
+  truncate
+} from './utils.js';
 
-const DEFAULT_PATH = join(homedir(), '.codex', 'sessions');
+// Where the tool's sessions live unless a root is given (see tools.config.js)
+const DEFAULT_PATH = getTool('codex').defaultPath;
+
+// response_item payload types that represent a tool call, and their outputs
+const TOOL_CALL_TYPES = new Set(['function_call', 'custom_tool_call', 'local_shell_call', 'web_search_call']);
+const TOOL_OUTPUT_TYPES = new Set(['function_call_output', 'custom_tool_call_output', 'local_shell_call_output']);
 
 /**
- * Import Codex CLI sessions
+ * Join the text parts of a message content list
+ */
+function extractText(contentList) {
+  if (!Array.isArray(contentList)) {
+    return null;
+  }
+
+  const textParts = [];
+  for (const part of contentList) {
+    if (typeof part === 'object' && part) {
+      const text = part.text || part.output_text || '';
+      if (text) textParts.push(text);
+    }
+  }
+  return textParts.length > 0 ? textParts.join('\n') : null;
+}
+
+/**
+ * Extract reasoning summary text (falls back to raw reasoning content)
+ */
+function extractReasoning(payload) {
+  const summary = extractText(payload.summary);
+  return summary || extractText(payload.content);
+}
+
+/**
+ * Normalize a tool call payload into a tool name and input
+ */
+function extractToolCall(payload) {
+  switch (payload.type) {
+    case 'function_call': {
+      // Arguments are a JSON-encoded string
+      let input = payload.arguments ?? null;
+      if (typeof input === 'string') {
+        try { input = JSON.parse(input); } catch { /* keep raw string */ }
+      }
+      return { name: payload.name || 'function', input };
+    }
+    case 'custom_tool_call':
+      // Freeform tools such as apply_patch carry the raw patch text
+      return { name: payload.name || 'custom_tool', input: payload.input ?? null };
+    case 'local_shell_call':
+      return { name: 'local_shell', input: payload.action || null };
+    case 'web_search_call':
+      return { name: 'web_search', input: payload.action || null };
+    default:
+      return { name: payload.type, input: null };
+  }
+}
+
+/**
+ * Normalize a tool output payload into text and an error flag
+ *
+ * Shell outputs are usually a JSON string of { output, metadata: { exit_code } };
+ * newer versions write plain text starting with "Exit code: N".
+ */
+function extractToolOutput(payload) {
+  let output = payload.output;
+
+  if (output && typeof output === 'object') {
+    const text = output.content ?? output.output ?? JSON.stringify(output);
+    return { output: String(text), isError: output.success === false };
+  }
+
+  if (typeof output !== 'string') {
+    return { output: null, isError: false };
+  }
+
+  try {
+    const parsed = JSON.parse(output);
+    if (parsed && typeof parsed === 'object' && 'output' in parsed) {
+      const exitCode = parsed.metadata?.exit_code;
+      return {
+        output: String(parsed.output ?? ''),
+        isError: exitCode !== undefined && exitCode !== 0
+      };
+    }
+  } catch {
+    // Plain text output
+  }
+
+  const exitMatch = output.match(/^Exit code: (\d+)/);
+  return { output, isError: exitMatch ? exitMatch[1] !== '0' : false };
+}
+
+/**
+ * Token usage of the model request a token_count event reports, in the
+ * columns messages store. Newer CLIs nest it in info.last_token_usage (info
+ * is null before the first request); older ones put the counts on the payload.
+ * OpenAI counts cached tokens as part of the input, messages keep them apart.
+ */
+function extractTokenUsage(payload) {
+  const usage = payload.info ? payload.info.last_token_usage : payload;
+  if (!usage || typeof usage.input_tokens !== 'number') {
+    return null;
+  }
+  const cached = usage.cached_input_tokens || 0;
+  return {
+    input_tokens: Math.max(usage.input_tokens - cached, 0),
+    output_tokens: usage.output_tokens || 0,
+    cache_read_tokens: cached,
+    cache_creation_tokens: 0
+  };
+}
+
+/**
+ * Find Codex CLI session files (JSONL files in date folders)
  * @param {string} codexPath - Path to Codex sessions directory
- * @returns {number} Number of imported sessions
+ * @returns {Promise<string[]>} Absolute file paths
  */
-export async function importCodexSessions(codexPath = DEFAULT_PATH) {
+export async function findCodexSessionFiles(codexPath = DEFAULT_PATH) {
   if (!existsSync(codexPath)) {
     console.log(`  Codex path not found: ${codexPath}`);
-    return 0;
+    return [];
   }
 
-  let imported = 0;
-
   // Find all JSONL files recursively
   const pattern = join(codexPath, '**', '*.jsonl');
   let jsonlFiles = [];
@@ -47,110 +178,284 @@ export async function importCodexSessions(codexPath = DEFAULT_PATH) {
     jsonlFiles = await findJsonlFilesRecursive(codexPath);
   }
 
-  for (const filePath of jsonlFiles) {
-    // Extract session ID from filename (format: something-UUID.jsonl)
-    const fileName = basename(filePath, '.jsonl');
-    const sessionId = fileName.split('-').pop();
+  return jsonlFiles;
+}
+
+/**
+ * Import (or continue importing) a single Codex CLI session file
+ * @param {string} filePath - Path to the rollout JSONL file
+ * @returns {Promise<{ imported: boolean, records: number, bytes: number }>}
+ */
+export async function importCodexFile(filePath) {
+  // Extract session ID from filename (format: something-UUID.jsonl)
+  const fileName = basename(filePath, '.jsonl');
+  const sessionId = fileName.split('-').pop();
+
+  // Skip files that haven't changed since the last import
+  const plan = getFileImportPlan(filePath);
+  if (plan.mode === 'skip') {
+    return { imported: false, skipped: true, records: 0, bytes: 0 };
+  }
+
+  // A rewritten file (or one imported before state was tracked) is re-read
+  // from the start, so drop what we stored for it last time
+  if (plan.mode === 'full' && sessionExists(sessionId)) {
+    deleteSessionMessages(sessionId);
+  }
+  const existingCount = plan.mode === 'append' ? getSessionMessageStats(sessionId).count : 0;
+
+  // Extract session metadata
+  let projectName = null;
+  let projectPath = null;
+  let gitBranch = null;
+  let cliVersion = null;
+  let summary = null;
+  let firstTs = null;
+  let lastTs = null;
+  let model = null;
+  const writer = createMessageWriter(sessionId, 'codex');
 
-    // Skip if already imported
-    if (sessionExists(sessionId)) {
-      continue;
+  // Usage is reported after each model request: it goes on the last message
+  // or tool call the request produced
+  let lastResponse = null;
+  let lastTotalTokens = null;
+  const addUsage = (usage) => {
+    if (!lastResponse) {
+      // Produced by an earlier import pass
+      if (plan.mode === 'append') addLatestMessageUsage(sessionId, { ...usage, model });
+      return;
     }
+    for (const [key, value] of Object.entries(usage)) {
+      lastResponse[key] = (lastResponse[key] || 0) + value;
+    }
+    if (writer.isWritten(lastResponse)) {
+      const { input_tokens, output_tokens, cache_read_tokens, cache_creation_tokens } = lastResponse;
+      updateMessageUsage(sessionId, lastResponse.id, { input_tokens, output_tokens, cache_read_tokens, cache_creation_tokens });
+    }
+  };
+
+  // Tool call messages waiting for their output (keyed by call_id)
+  const pendingTools = new Map();
+  // Reasoning waiting for the message or tool call it led to
+  let pendingThinking = [];
+  let lastReasoningIndex = null;
+
+  const addThinking = (text, index) => {
+    // Reasoning shows up both as a response_item and as an agent_reasoning event
+    if (text && !pendingThinking.includes(text)) {
+      pendingThinking.push(text);
+      lastReasoningIndex = index;
+    }
+  };
+
+  const takeThinking = () => {
+    const thinking = pendingThinking.length > 0 ? pendingThinking.join('\n\n') : null;
+    pendingThinking = [];
+    return thinking;
+  };
+
+  // Record an output on its tool call (already in the database if its batch was written)
+  const setToolOutput = (toolMessage, output, isError) => {
+    toolMessage.tool_output = output;
+    toolMessage.tool_error = isError;
+    if (writer.isWritten(toolMessage)) {
+      updateToolResult(sessionId, toolMessage.id, output, isError);
+    }
+  };
+
+  const reader = readJsonlRecords(filePath, { offset: plan.offset, line: plan.lines });
+  let index = plan.records;
+
+  for await (const msg of reader) {
+    const msgType = msg.type || '';
+    const ts = msg.timestamp;
+    const payload = msg.payload || {};
 
-    const { messages: rawMessages, errors } = parseJsonlFile(filePath);
-    if (rawMessages.length === 0) {
-      continue;
+    if (ts) {
+      if (!firstTs) firstTs = ts;
+      lastTs = ts;
     }
 
-    // Extract session metadata
-    let projectName = null;
-    let summary = null;
-    let firstTs = null;
-    let lastTs = null;
-    const messages = [];
-
-    for (let i = 0; i < rawMessages.length; i++) {
-      const msg = rawMessages[i];
-      const msgType = msg.type || '';
-      const ts = msg.timestamp;
-
-      if (ts) {
-        if (!firstTs) firstTs = ts;
-        lastTs = ts;
+    if (msgType === 'session_meta') {
+      const cwd = payload.cwd || '';
+      if (cwd) {
+        projectName = cwd.includes('/') ? cwd.split('/').pop() : cwd;
+        projectPath = cwd;
       }
+      gitBranch = payload.git?.branch || null;
+      cliVersion = payload.cli_version || null;
+    } else if (msgType === 'turn_context') {
+      model = payload.model || model;
+    } else if (msgType === 'response_item') {
+      const role = payload.role || '';
 
-      if (msgType === 'session_meta') {
-        const payload = msg.payload || {};
-        const cwd = payload.cwd || '';
-        if (cwd) {
-          projectName = cwd.includes('/') ? cwd.split('/').pop() : cwd;
-        }
-      } else if (msgType === 'response_item') {
-        const payload = msg.payload || {};
-        const role = payload.role || '';
-
-        if (role === 'user' || role === 'assistant') {
-          // Extract content
-          let content = null;
-          const contentList = payload.content || [];
-
-          if (Array.isArray(contentList)) {
-            const textParts = [];
-            for (const part of contentList) {
-              if (typeof part === 'object') {
-                const text = part.text || part.output_text || '';
-                if (text) textParts.push(text);
-              }
-            }
-            content = textParts.length > 0 ? textParts.join('\n') : null;
-          }
+      if (role === 'user' || role === 'assistant') {
+        const content = extractText(payload.content);
 
-          // Use first user message as summary (skip environment context)
-          if (role === 'user' && !summary && content) {
-            if (!content.startsWith('<environment_context>')) {
-              summary = truncate(content, 200);
-            }
+        // Use first user message as summary (skip environment context)
+        if (role === 'user' && !summary && content) {
+          if (!content.startsWith('<environment_context>')) {
+            summary = truncate(content, 200);
           }
+        }
 
-          messages.push({
-            id: generateMessageId(sessionId, i),
-            type: role,
-            content,
-            thinking: null,
-            timestamp: ts,
-            tool_name: null,
-            tool_input: null,
-            tool_output: null,
-            position: i
-          });
+        const message = {
+          id: generateMessageId(sessionId, index),
+          type: role,
+          content,
+          thinking: role === 'assistant' ? takeThinking() : null,
+          timestamp: ts,
+          tool_name: null,
+          tool_input: null,
+          tool_output: null,
+          position: index,
+          model: role === 'assistant' ? model : null
+        };
+        writer.push(message);
+        if (role === 'assistant') lastResponse = message;
+      } else if (payload.type === 'reasoning') {
+        addThinking(extractReasoning(payload), index);
+      } else if (TOOL_CALL_TYPES.has(payload.type)) {
+        const { name, input } = extractToolCall(payload);
+        const callId = payload.call_id || payload.id;
+
+        const toolMessage = {
+          id: generateMessageId(sessionId, callId || index),
+          type: 'assistant',
+          content: null,
+          thinking: takeThinking(),
+          timestamp: ts,
+          tool_name: name,
+          tool_input: input,
+          tool_output: null,
+          tool_error: payload.status === 'failed',
+          position: index,
+          model
+        };
+        writer.push(toolMessage);
+        lastResponse = toolMessage;
+        if (callId) {
+          pendingTools.set(callId, toolMessage);
+        }
+      } else if (TOOL_OUTPUT_TYPES.has(payload.type)) {
+        const result = extractToolOutput(payload);
+        const toolMessage = pendingTools.get(payload.call_id);
+        if (toolMessage) {
+          setToolOutput(toolMessage, result.output, result.isError);
+          pendingTools.delete(payload.call_id);
+        } else if (plan.mode === 'append' && payload.call_id) {
+          // Tool call stored by an earlier import pass
+          updateToolResult(sessionId, generateMessageId(sessionId, payload.call_id), result.output, result.isError);
         }
       }
-    }
+    } else if (msgType === 'event_msg') {
+      // user_message / agent_message events duplicate the response_items above;
+      // the rest fill gaps the response_items leave
+      const toolMessage = pendingTools.get(payload.call_id);
 
-    if (!projectName) {
-      projectName = 'unknown';
+      if (payload.type === 'agent_reasoning') {
+        addThinking(payload.text, index);
+      } else if (payload.type === 'token_count') {
+        // The same totals are sometimes reported twice in a row
+        const total = payload.info?.total_token_usage?.total_tokens ?? null;
+        const usage = extractTokenUsage(payload);
+        if (usage && (total === null || total !== lastTotalTokens)) {
+          addUsage(usage);
+        }
+        lastTotalTokens = total;
+      } else if (payload.type === 'exec_command_end' && toolMessage && !toolMessage.tool_output) {
+        setToolOutput(
+          toolMessage,
+          payload.aggregated_output || [payload.stdout, payload.stderr].filter(Boolean).join('\n') || null,
+          payload.exit_code !== undefined && payload.exit_code !== 0
+        );
+      } else if (payload.type === 'patch_apply_end' && toolMessage && !toolMessage.tool_output) {
+        setToolOutput(
+          toolMessage,
+          [payload.stdout, payload.stderr].filter(Boolean).join('\n') || null,
+          payload.success === false
+        );
+      }
     }
+    index++;
+  }
 
-    // Insert session
-    upsertSession({
-      id: sessionId,
-      tool: 'codex',
-      project: projectName,
-      project_path: null,
-      started_at: firstTs,
-      ended_at: lastTs,
-      message_count: messages.length,
-      summary
+  // Reasoning at the very end (e.g. a turn still in progress) gets its own message
+  const trailingThinking = takeThinking();
+  if (trailingThinking) {
+    writer.push({
+      id: generateMessageId(sessionId, lastReasoningIndex),
+      type: 'assistant',
+      content: null,
+      thinking: trailingThinking,
+      timestamp: lastTs,
+      tool_name: null,
+      tool_input: null,
+      tool_output: null,
+      position: lastReasoningIndex,
+      model
     });
+  }
+  writer.flush();
 
-    // Insert messages
-    if (messages.length > 0) {
-      insertMessages(sessionId, messages);
-    }
+  const fileState = {
+    file_path: filePath,
+    session_id: sessionId,
+    tool: 'codex',
+    size: plan.size,
+    mtime: plan.mtime,
+    offset: reader.offset,
+    records: plan.records + reader.records,
+    lines: reader.lines,
+    checksum: offsetChecksum(filePath, reader.offset)
+  };
+  const stats = {
+    imported: false,
+    sessionId,
+    records: reader.records,
+    totalRecords: fileState.records,
+    bytes: reader.bytes,
+    errors: reader.errors,
+    errorLines: reader.errorLines,
+    append: plan.mode === 'append'
+  };
+
+  if (reader.records === 0) {
+    saveImportState(fileState);
+    return stats;
+  }
 
-    imported++;
+  if (!projectName && plan.mode === 'full') {
+    projectName = 'unknown';
   }
 
+  // Insert session
+  upsertSession({
+    id: sessionId,
+    tool: 'codex',
+    project: projectName,
+    project_path: projectPath,
+    started_at: firstTs,
+    ended_at: lastTs,
+    message_count: existingCount + writer.count,
+    summary,
+    git_branch: gitBranch,
+    cli_version: cliVersion
+  });
+
+  saveImportState(fileState);
+  return { ...stats, imported: true };
+}
+
+/**
+ * Import Codex CLI sessions
+ * @param {string} codexPath - Path to Codex sessions directory
+ * @param {Object} options - { onProgress: called after each file (see importFiles) }
+ * @returns {number} Number of imported or updated sessions
+ */
+export async function importCodexSessions(codexPath = DEFAULT_PATH, options = {}) {
+  const files = await findCodexSessionFiles(codexPath);
+  const { imported } = await importFiles(files, importCodexFile, { ...options, tool: 'codex' });
   return imported;
 }
 
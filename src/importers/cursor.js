@@ -0,0 +1,447 @@
+/**
+ * Cursor Chat and Composer Importer
+ *
+ * Reads the state.vscdb SQLite databases Cursor keeps in its User folder
+ * (opened read-only, never written):
+ * - globalStorage/state.vscdb: composer (agent) sessions in cursorDiskKV,
+ *   as composerData:<id> plus bubbleId:<id>:<bubbleId> rows
+ * - workspaceStorage/<hash>/state.vscdb: the workspace's list of composers
+ *   and its chat panel tabs (ItemTable), with workspace.json naming the folder
+ *
+ * Handles:
+ * - Composers with inline conversations (older) or separate bubble rows
+ * - Tool calls (toolFormerData) and thinking on assistant bubbles
+ * - The model of each assistant bubble (or the composer's model setting)
+ * - Legacy chat panel tabs
+ * - Mapping each workspace to its folder path as the project
+ * - Re-reading only composers whose lastUpdatedAt changed, and chat tabs
+ *   whose content changed (a fingerprint per tab is kept in the import state)
+ * - Leaving deleted sessions alone
+ */
+
+import Database from 'better-sqlite3';
+import { createHash } from 'crypto';
+import { existsSync, readdirSync, statSync } from 'fs';
+import { join, basename, dirname } from 'path';
+import { getTool } from '../tools.config.js';
+import { fileURLToPath } from 'url';
+import {
+  upsertSession,
+  getSession,
+  sessionExists,
+  isSessionDeleted,
+  deleteSessionMessages,
+  getImportState,
+  saveImportState
+} from '../db/index.js';
+import {
+  parseJsonFile,
+  createMessageWriter,
+  importFiles,
+  generateMessageId,
+  truncate
+} from './utils.js';
+
+// Where the tool's sessions live unless a root is given (see tools.config.js)
+const DEFAULT_PATH = getTool('cursor').defaultPath;
+
+const DB_FILE = 'state.vscdb';
+const CHAT_TABS_KEY = 'workbench.panel.aichat.view.aichat.chatdata';
+const COMPOSERS_KEY = 'composer.composerData';
+
+// Bubble types in composer conversations
+const USER_BUBBLE = 1;
+
+/**
+ * Find Cursor state databases (the global one and one per workspace)
+ * @param {string} cursorPath - Cursor's User directory
+ * @returns {string[]} Absolute file paths
+ */
+export function findCursorSessionFiles(cursorPath = DEFAULT_PATH) {
+  if (!existsSync(cursorPath)) {
+    console.log(`  Cursor path not found: ${cursorPath}`);
+    return [];
+  }
+
+  const files = [];
+  const globalDb = join(cursorPath, 'globalStorage', DB_FILE);
+  if (existsSync(globalDb)) {
+    files.push(globalDb);
+  }
+
+  const workspaceStorage = join(cursorPath, 'workspaceStorage');
+  if (existsSync(workspaceStorage)) {
+    for (const name of readdirSync(workspaceStorage)) {
+      const dbFile = join(workspaceStorage, name, DB_FILE);
+      if (existsSync(dbFile)) {
+        files.push(dbFile);
+      }
+    }
+  }
+
+  return files;
+}
+
+function openReadOnly(filePath) {
+  return new Database(filePath, { readonly: true, fileMustExist: true });
+}
+
+function readJsonValue(db, table, key) {
+  const row = db.prepare(`SELECT value FROM ${table} WHERE key = ?`).get(key);
+  if (!row?.value) return null;
+  try {
+    return JSON.parse(row.value.toString());
+  } catch {
+    return null;
+  }
+}
+
+function hasTable(db, table) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+}
+
+/**
+ * Folder a workspace was opened on (workspace.json next to its database)
+ */
+function readWorkspaceFolder(workspaceDir) {
+  const workspace = parseJsonFile(join(workspaceDir, 'workspace.json'), { quiet: true });
+  const uri = workspace?.folder || workspace?.workspace;
+  if (!uri) return null;
+
+  try {
+    const path = uri.startsWith('file://')
+      ? fileURLToPath(uri)
+      : decodeURIComponent(new URL(uri).pathname);
+    // Multi-root workspaces point at their .code-workspace file
+    return path.endsWith('.code-workspace') ? dirname(path) : path;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Per-run state: which workspace folder each composer belongs to
+ * @param {string} cursorPath - Cursor's User directory
+ */
+export function createCursorContext(cursorPath = DEFAULT_PATH) {
+  const composerFolders = new Map();
+
+  for (const dbFile of findCursorSessionFiles(cursorPath)) {
+    if (basename(dirname(dbFile)) === 'globalStorage') continue;
+    const folder = readWorkspaceFolder(dirname(dbFile));
+    if (!folder) continue;
+
+    let db;
+    try {
+      db = openReadOnly(dbFile);
+      const composers = readJsonValue(db, 'ItemTable', COMPOSERS_KEY);
+      for (const composer of composers?.allComposers || []) {
+        if (composer.composerId) composerFolders.set(composer.composerId, folder);
+      }
+    } catch {
+      // Locked or unreadable: its composers are imported without a project
+    } finally {
+      db?.close();
+    }
+  }
+
+  return { composerFolders };
+}
+
+/**
+ * Databases change through their -wal file too, so both count as the file's
+ * state (an empty one is left behind by any reader, this one included)
+ */
+function getDatabasePlan(filePath) {
+  const stats = [filePath, `${filePath}-wal`]
+    .filter(existsSync)
+    .map(path => statSync(path))
+    .filter((stat, i) => i === 0 || stat.size > 0);
+  const size = stats.reduce((sum, s) => sum + s.size, 0);
+  const mtime = Math.max(...stats.map(s => s.mtimeMs));
+  const state = getImportState(filePath);
+  const skip = state && state.size === size && state.mtime === mtime;
+  return { mode: skip ? 'skip' : 'full', size, mtime };
+}
+
+function toIso(value) {
+  if (!value) return null;
+  const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+function parseMaybeJson(value) {
+  if (typeof value !== 'string') return value ?? null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Write one conversation as a session, replacing what an earlier pass stored
+ * @returns {number} Messages written
+ */
+function writeConversation(session, messages) {
+  if (messages.length === 0) return 0;
+
+  if (sessionExists(session.id)) {
+    deleteSessionMessages(session.id);
+  }
+  const writer = createMessageWriter(session.id, 'cursor');
+  messages.forEach((message, position) => {
+    writer.push({
+      id: generateMessageId(session.id, message.key ?? position),
+      thinking: null,
+      tool_name: null,
+      tool_input: null,
+      tool_output: null,
+      ...message,
+      position
+    });
+  });
+  writer.flush();
+
+  const firstUser = messages.find(m => m.type === 'user' && m.content);
+  upsertSession({
+    ...session,
+    tool: 'cursor',
+    project: session.project_path ? basename(session.project_path) : null,
+    message_count: writer.count,
+    summary: session.summary || (firstUser ? truncate(firstUser.content, 200) : 'Cursor chat'),
+    git_branch: null,
+    cli_version: null
+  });
+  return writer.count;
+}
+
+/**
+ * Messages of one composer bubble (text, then its tool call as a card)
+ */
+function bubbleToMessages(bubble, fallbackTs, composerModel = null) {
+  const type = bubble.type === USER_BUBBLE ? 'user' : 'assistant';
+  const model = type === 'assistant' ? bubble.modelInfo?.modelName || composerModel : null;
+  const timestamp = toIso(bubble.createdAt) || toIso(bubble.timingInfo?.clientStartTime) || fallbackTs;
+  const key = bubble.bubbleId;
+  const messages = [];
+  const content = (bubble.text || '').trim() || null;
+  const thinking = bubble.thinking?.text || null;
+
+  if (content || thinking) {
+    messages.push({ key, type, content, thinking, timestamp, model });
+  }
+
+  const toolCall = bubble.toolFormerData;
+  if (toolCall && (toolCall.name || toolCall.tool)) {
+    const result = parseMaybeJson(toolCall.result);
+    messages.push({
+      key: `${key}_tool`,
+      type: 'assistant',
+      content: null,
+      timestamp,
+      tool_name: toolCall.name || String(toolCall.tool),
+      tool_input: parseMaybeJson(toolCall.rawArgs) ?? parseMaybeJson(toolCall.params),
+      tool_output: result === null || typeof result === 'string' ? result : JSON.stringify(result, null, 2),
+      tool_error: toolCall.status === 'error',
+      model
+    });
+  }
+  return messages;
+}
+
+/**
+ * Import the composers stored in the global database
+ */
+function importComposers(db, context) {
+  const result = { sessionIds: [], records: 0, total: 0 };
+  if (!hasTable(db, 'cursorDiskKV')) return result;
+
+  const rows = db.prepare("SELECT key, value FROM cursorDiskKV WHERE key LIKE 'composerData:%'").all();
+  const bubbleQuery = db.prepare('SELECT key, value FROM cursorDiskKV WHERE key LIKE ?');
+
+  for (const row of rows) {
+    const composer = parseMaybeJson(row.value?.toString());
+    if (!composer || typeof composer !== 'object') continue;
+    result.total++;
+
+    const composerId = composer.composerId || row.key.slice('composerData:'.length);
+    const sessionId = `cursor-${composerId}`;
+    const updatedAt = toIso(composer.lastUpdatedAt) || toIso(composer.createdAt);
+
+    // Deleted for good, or unchanged since the last pass
+    if (isSessionDeleted(sessionId)) continue;
+    const stored = getSession(sessionId);
+    if (stored && updatedAt && stored.ended_at === updatedAt) continue;
+
+    // Older versions keep the conversation inline, newer ones one row per bubble
+    let bubbles = composer.conversation;
+    if (!Array.isArray(bubbles) || bubbles.length === 0) {
+      const byId = new Map();
+      for (const bubbleRow of bubbleQuery.all(`bubbleId:${composerId}:%`)) {
+        const bubble = parseMaybeJson(bubbleRow.value?.toString());
+        if (bubble && typeof bubble === 'object') {
+          byId.set(bubble.bubbleId || bubbleRow.key.split(':').pop(), bubble);
+        }
+      }
+      bubbles = (composer.fullConversationHeadersOnly || [])
+        .map(header => byId.get(header.bubbleId))
+        .filter(Boolean);
+    }
+
+    const startedAt = toIso(composer.createdAt);
+    const composerModel = composer.modelConfig?.modelName || null;
+    let lastTs = startedAt;
+    const messages = [];
+    for (const bubble of bubbles) {
+      const bubbleMessages = bubbleToMessages(bubble, lastTs, composerModel);
+      if (bubbleMessages.length > 0) lastTs = bubbleMessages[0].timestamp;
+      messages.push(...bubbleMessages);
+    }
+
+    const written = writeConversation({
+      id: sessionId,
+      project_path: context.composerFolders.get(composerId) || null,
+      started_at: startedAt || messages[0]?.timestamp || null,
+      ended_at: updatedAt || lastTs,
+      summary: composer.name ? truncate(composer.name, 200) : null
+    }, messages);
+
+    if (written > 0) {
+      result.records++;
+      result.sessionIds.push(sessionId);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Import the chat panel tabs of one workspace database
+ * @param {Object} fingerprints - Tab ID -> content hash from the last pass;
+ *   tabs with the same hash are skipped. Updated with this pass's hashes
+ */
+function importChatTabs(db, workspaceDir, fingerprints) {
+  const result = { sessionIds: [], records: 0, total: 0 };
+  if (!hasTable(db, 'ItemTable')) return result;
+
+  const chatData = readJsonValue(db, 'ItemTable', CHAT_TABS_KEY);
+  const folder = readWorkspaceFolder(workspaceDir);
+  const seen = new Set();
+
+  for (const tab of chatData?.tabs || []) {
+    const bubbles = tab.bubbles || [];
+    result.total++;
+    if (!tab.tabId || bubbles.length === 0) continue;
+
+    const sessionId = `cursor-chat-${tab.tabId}`;
+    if (isSessionDeleted(sessionId)) continue;
+
+    // The whole workspace state changes with any tab: skip the ones that didn't
+    const fingerprint = createHash('sha256').update(JSON.stringify(tab)).digest('hex').slice(0, 16);
+    seen.add(tab.tabId);
+    if (fingerprints[tab.tabId] === fingerprint && sessionExists(sessionId)) continue;
+    fingerprints[tab.tabId] = fingerprint;
+
+    const lastTs = toIso(tab.lastSendTime);
+    const messages = bubbles
+      .map((bubble, i) => ({
+        key: bubble.id || i,
+        type: bubble.type === 'user' ? 'user' : 'assistant',
+        content: (bubble.text || bubble.rawText || '').trim() || null,
+        timestamp: lastTs
+      }))
+      .filter(message => message.content);
+
+    const written = writeConversation({
+      id: sessionId,
+      project_path: folder,
+      started_at: lastTs,
+      ended_at: lastTs,
+      summary: tab.chatTitle ? truncate(tab.chatTitle, 200) : null
+    }, messages);
+
+    if (written > 0) {
+      result.records++;
+      result.sessionIds.push(sessionId);
+    }
+  }
+
+  // Forget closed tabs
+  for (const tabId of Object.keys(fingerprints)) {
+    if (!seen.has(tabId)) delete fingerprints[tabId];
+  }
+  return result;
+}
+
+/**
+ * Import the conversations in one Cursor state database
+ *
+ * The global database holds the composers, a workspace database its chat
+ * panel tabs. Cursor keeps the databases open, so they are read through a
+ * read-only connection.
+ *
+ * @param {string} filePath - Path to a state.vscdb
+ * @param {Object} context - From createCursorContext() (created from the path if omitted)
+ * @returns {Promise<{ imported: boolean, sessionIds: string[], records: number, bytes: number }>}
+ */
+export async function importCursorFile(filePath, context = null) {
+  const isGlobal = basename(dirname(filePath)) === 'globalStorage';
+  const plan = getDatabasePlan(filePath);
+  if (plan.mode === 'skip') {
+    return { imported: false, skipped: true, records: 0, bytes: 0 };
+  }
+
+  const db = openReadOnly(filePath);
+  const fingerprints = isGlobal ? null : parseMaybeJson(getImportState(filePath)?.fingerprints) || {};
+  let result;
+  try {
+    if (isGlobal) {
+      context = context || createCursorContext(dirname(dirname(filePath)));
+      result = importComposers(db, context);
+    } else {
+      result = importChatTabs(db, dirname(filePath), fingerprints);
+    }
+  } finally {
+    db.close();
+  }
+
+  const lastSessionId = result.sessionIds[result.sessionIds.length - 1] || null;
+  saveImportState({
+    file_path: filePath,
+    session_id: lastSessionId,
+    tool: 'cursor',
+    size: plan.size,
+    mtime: plan.mtime,
+    offset: 0,
+    records: result.total,
+    fingerprints: fingerprints && JSON.stringify(fingerprints)
+  });
+
+  return {
+    imported: result.sessionIds.length > 0,
+    sessionId: lastSessionId,
+    sessionIds: result.sessionIds,
+    records: result.records,
+    totalRecords: result.total,
+    bytes: plan.size
+  };
+}
+
+/**
+ * Import Cursor chats and composers
+ * @param {string} cursorPath - Cursor's User directory
+ * @param {Object} options - { onProgress: called after each file (see importFiles) }
+ * @returns {number} Number of databases with imported or updated sessions
+ */
+export async function importCursorSessions(cursorPath = DEFAULT_PATH, options = {}) {
+  const context = createCursorContext(cursorPath);
+  const files = findCursorSessionFiles(cursorPath);
+  const { imported } = await importFiles(files, file => importCursorFile(file, context), {
+    ...options,
+    tool: 'cursor'
+  });
+  return imported;
+}
+
+export default importCursorSessions;
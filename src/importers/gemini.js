@@ -9,30 +9,243 @@
  * - JSON format parsing (different from JSONL)
  * - Message content normalization
  * - Timestamp extraction from file metadata
+ * - Project path resolution from projectHash (SHA-256 of the project root)
+ * - Tool calls with their args, results and status
+ * - The model of each reply (newer CLI versions)
+ * - Incremental re-import of sessions that are still growing
  */
 
-import { existsSync, readdirSync, statSync } from 'fs';
-import { join } from 'path';
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { join, dirname, basename } from 'path';
 import { homedir } from 'os';
-import { upsertSession, insertMessages, sessionExists } from '../db/index.js';
-import { parseJsonFile, generateMessageId, truncate } from './utils.js';
+import { getTool } from '../tools.config.js';
+import { createHash } from 'crypto';
+import {
+  upsertSession,
+  sessionExists,
+  deleteSessionMessages,
+  deleteMessagesFrom,
+  getSessionMessageStats,
+  getKnownProjectPaths,
+  saveImportState
+} from '../db/index.js';
+import {
+  parseJsonFile,
+  createMessageWriter,
+  importFiles,
+  getFileImportPlan,
+  generateMessageId,
+  truncate
+} from './utils.js';
 
-const DEFAULT_PATH = join(homedir(), '.gemini', 'tmp');
+// Where the tool's sessions live unless a root is given (see tools.config.js)
+const DEFAULT_PATH = getTool('gemini').defaultPath;
+
+// Matches POSIX and Windows absolute paths
+const ABSOLUTE_PATH = /^(\/|[A-Za-z]:[\\/])/;
+
+// How deep below home to look for project directories when nothing else matched
+const SCAN_DEPTH = 2;
+const SCAN_LIMIT = 20000;
 
 /**
- * Import Gemini CLI sessions
- * @param {string} geminiPath - Path to Gemini tmp directory
- * @returns {number} Number of imported sessions
+ * Gemini CLI names project folders by SHA-256 of the project root path
+ */
+function hashProjectPath(path) {
+  return createHash('sha256').update(path).digest('hex');
+}
+
+/**
+ * Collect absolute path strings (keys and values) from any JSON value
+ */
+function collectAbsolutePaths(value, paths, depth = 0) {
+  if (depth > 6 || value === null || value === undefined) {
+    return paths;
+  }
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (ABSOLUTE_PATH.test(trimmed) && !trimmed.includes('\n')) {
+      paths.add(trimmed);
+    }
+  } else if (Array.isArray(value)) {
+    for (const item of value) collectAbsolutePaths(item, paths, depth + 1);
+  } else if (typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      collectAbsolutePaths(key, paths, depth + 1);
+      collectAbsolutePaths(item, paths, depth + 1);
+    }
+  }
+  return paths;
+}
+
+/**
+ * Create a resolver that maps projectHash back to the project directory
+ *
+ * Candidates are verified by hashing, so a wrong guess never matches. Sources,
+ * cheapest first:
+ * 1. ~/.gemini metadata (projects.json, .project_root markers)
+ * 2. Project paths Claude Code knows about (~/.claude.json) and paths of
+ *    sessions already in the database
+ * 3. Paths mentioned inside the chat (tool args, @file references) and
+ *    their parent directories
+ * 4. Directories up to SCAN_DEPTH levels below home
+ */
+function createProjectResolver(geminiRoot) {
+  const byHash = new Map();
+  let scanned = false;
+
+  const remember = (path) => {
+    byHash.set(hashProjectPath(path), path);
+  };
+
+  // Gemini metadata
+  const metadataPaths = new Set();
+  collectAbsolutePaths(parseJsonFile(join(geminiRoot, 'projects.json'), { quiet: true }), metadataPaths);
+  const tmpDir = join(geminiRoot, 'tmp');
+  if (existsSync(tmpDir)) {
+    for (const name of readdirSync(tmpDir)) {
+      const marker = join(tmpDir, name, '.project_root');
+      if (existsSync(marker)) {
+        metadataPaths.add(readFileSync(marker, 'utf-8').trim());
+      }
+    }
+  }
+
+  // Claude Code's project list and paths we have already imported
+  collectAbsolutePaths(
+    parseJsonFile(join(homedir(), '.claude.json'), { quiet: true })?.projects,
+    metadataPaths
+  );
+  for (const path of getKnownProjectPaths()) {
+    metadataPaths.add(path);
+  }
+
+  for (const path of metadataPaths) {
+    remember(path);
+  }
+
+  const scanHome = () => {
+    scanned = true;
+    let visited = 0;
+    const walk = (dir, depth) => {
+      if (depth > SCAN_DEPTH || visited > SCAN_LIMIT) return;
+      let entries;
+      try {
+        entries = readdirSync(dir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        if (!entry.isDirectory() || entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+        const fullPath = join(dir, entry.name);
+        visited++;
+        remember(fullPath);
+        walk(fullPath, depth + 1);
+      }
+    };
+    remember(homedir());
+    walk(homedir(), 1);
+  };
+
+  return function resolve(projectHash, hints = []) {
+    if (byHash.has(projectHash)) {
+      return byHash.get(projectHash);
+    }
+
+    // Walk up from every path the chat mentions
+    for (const hint of hints) {
+      let dir = hint;
+      while (dir && dirname(dir) !== dir) {
+        if (hashProjectPath(dir) === projectHash) {
+          byHash.set(projectHash, dir);
+          return dir;
+        }
+        dir = dirname(dir);
+      }
+    }
+
+    if (!scanned) {
+      scanHome();
+      if (byHash.has(projectHash)) {
+        return byHash.get(projectHash);
+      }
+    }
+
+    return null;
+  };
+}
+
+/**
+ * Extract text from Gemini message content (string or array of parts)
+ */
+function extractContent(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content.map(part => (typeof part === 'string' ? part : part?.text || '')).join('');
+  }
+  return '';
+}
+
+/**
+ * Extract the output of a Gemini tool call
+ */
+function extractToolOutput(toolCall) {
+  const parts = [];
+  for (const result of toolCall.result || []) {
+    const response = result?.functionResponse?.response;
+    if (!response) continue;
+    const value = response.output ?? response.error ?? response;
+    parts.push(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+  }
+  if (parts.length > 0) {
+    return parts.join('\n');
+  }
+
+  // Fall back to what the CLI displayed
+  const display = toolCall.resultDisplay;
+  if (typeof display === 'string') {
+    return display || null;
+  }
+  return display?.fileDiff || null;
+}
+
+// Stored row IDs of a message (index: its place in the file) and its tool calls
+function messageId(sessionId, msg, index) {
+  return msg.id || generateMessageId(sessionId, index);
+}
+
+function toolCallId(sessionId, toolCall, index, n) {
+  return generateMessageId(sessionId, toolCall.id || `${index}_${n}`);
+}
+
+function messageRowIds(sessionId, msg, index) {
+  return [
+    messageId(sessionId, msg, index),
+    ...(msg.toolCalls || []).map((toolCall, n) => toolCallId(sessionId, toolCall, index, n))
+  ];
+}
+
+/**
+ * Find Gemini CLI session files (<hash>/chats/session-*.json)
+ * @param {string} geminiPath - Path to Gemini tmp directory (or the .gemini folder above it)
+ * @returns {string[]} Absolute file paths
  */
-export async function importGeminiSessions(geminiPath = DEFAULT_PATH) {
+export function findGeminiSessionFiles(geminiPath = DEFAULT_PATH) {
   if (!existsSync(geminiPath)) {
     console.log(`  Gemini path not found: ${geminiPath}`);
-    return 0;
+    return [];
   }
 
-  let imported = 0;
+  // A whole .gemini folder (e.g. one synced from another machine) keeps its sessions in tmp/
+  const tmpPath = join(geminiPath, 'tmp');
+  if (basename(geminiPath) !== 'tmp' && existsSync(tmpPath)) {
+    return findGeminiSessionFiles(tmpPath);
+  }
 
-  // Find all session JSON files in */chats/ subdirectories
+  const files = [];
   const tmpDirs = readdirSync(geminiPath).filter(name => {
     const fullPath = join(geminiPath, name);
     return statSync(fullPath).isDirectory();
@@ -44,119 +257,232 @@ export async function importGeminiSessions(geminiPath = DEFAULT_PATH) {
       continue;
     }
 
-    // Find session-*.json files
-    const sessionFiles = readdirSync(chatsDir).filter(f =>
-      f.startsWith('session-') && f.endsWith('.json')
-    );
+    for (const sessionFile of readdirSync(chatsDir)) {
+      if (sessionFile.startsWith('session-') && sessionFile.endsWith('.json')) {
+        files.push(join(chatsDir, sessionFile));
+      }
+    }
+  }
 
-    for (const sessionFile of sessionFiles) {
-      const filePath = join(chatsDir, sessionFile);
-      const sessionData = parseJsonFile(filePath);
+  return files;
+}
 
-      if (!sessionData) {
-        continue;
-      }
+/**
+ * Per-run state shared by all files of one import pass (project hash lookups)
+ * @param {string} geminiPath - Path to Gemini tmp directory
+ */
+export function createGeminiContext(geminiPath = DEFAULT_PATH) {
+  const geminiRoot = basename(geminiPath) === 'tmp' ? dirname(geminiPath) : geminiPath;
+  return { resolveProjectPath: createProjectResolver(geminiRoot) };
+}
 
-      const sessionId = sessionData.sessionId || sessionFile.replace('.json', '');
+/**
+ * Import (or continue importing) a single Gemini CLI session file
+ * @param {string} filePath - Path to the session JSON file
+ * @param {Object} context - From createGeminiContext() (created from the path if omitted)
+ * @returns {Promise<{ imported: boolean, records: number, bytes: number }>}
+ */
+export async function importGeminiFile(filePath, context = null) {
+  // <tmp>/<projectHash>/chats/session-*.json
+  context = context || createGeminiContext(dirname(dirname(dirname(filePath))));
 
-      // Skip if already imported
-      if (sessionExists(sessionId)) {
-        continue;
-      }
+  // Skip files that haven't changed since the last import
+  const plan = getFileImportPlan(filePath);
+  if (plan.mode === 'skip') {
+    return { imported: false, skipped: true, records: 0, bytes: 0 };
+  }
 
-      // Extract session metadata
-      const projectHash = sessionData.projectHash || 'unknown';
-      const projectName = `gemini-${projectHash.slice(0, 8)}`;
+  // Gemini rewrites the file in place, so a read can catch it half-written
+  let sessionData;
+  try {
+    sessionData = JSON.parse(readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    console.error(`  ❌ Failed to parse JSON: ${basename(filePath)} - ${err.message}`);
+    return {
+      imported: false,
+      records: 0,
+      bytes: plan.size,
+      errors: 1,
+      errorLines: [{ line: null, message: err.message }]
+    };
+  }
 
-      const firstTs = sessionData.startTime;
-      const lastTs = sessionData.lastUpdated;
+  const sessionId = sessionData.sessionId || basename(filePath, '.json');
 
-      const rawMessages = sessionData.messages || [];
-      if (rawMessages.length === 0) {
-        continue;
-      }
+  // Extract session metadata
+  const projectHash = sessionData.projectHash || 'unknown';
+  const hints = new Set();
+  for (const msg of sessionData.messages || []) {
+    for (const toolCall of msg.toolCalls || []) {
+      collectAbsolutePaths(toolCall.args, hints);
+    }
+    for (const match of extractContent(msg.content).matchAll(/Content from @(\S+?):\n/g)) {
+      collectAbsolutePaths(match[1], hints);
+    }
+  }
+  const projectPath = context.resolveProjectPath(projectHash, hints);
+  const projectName = projectPath ? basename(projectPath) : `gemini-${projectHash.slice(0, 8)}`;
 
-      let summary = null;
-      const messages = [];
-
-      for (let i = 0; i < rawMessages.length; i++) {
-        const msg = rawMessages[i];
-        let msgType = msg.type || '';
-        const ts = msg.timestamp;
-        const content = msg.content || '';
-
-        // Map gemini -> assistant
-        if (msgType === 'gemini') {
-          msgType = 'assistant';
-        } else if (msgType === 'info') {
-          // Skip info messages
-          continue;
-        }
+  const firstTs = sessionData.startTime;
+  const lastTs = sessionData.lastUpdated;
 
-        if (msgType === 'user' || msgType === 'assistant') {
-          // Extract thinking from thoughts array
-          let thinking = null;
-          const thoughts = msg.thoughts || [];
-          if (thoughts.length > 0) {
-            const thinkingParts = [];
-            for (const thought of thoughts) {
-              const subject = thought.subject || '';
-              const desc = thought.description || '';
-              if (subject || desc) {
-                thinkingParts.push(subject ? `**${subject}**\n${desc}` : desc);
-              }
-            }
-            thinking = thinkingParts.length > 0 ? thinkingParts.join('\n\n') : null;
-          }
+  const rawMessages = sessionData.messages || [];
+  const fileState = {
+    file_path: filePath,
+    session_id: sessionId,
+    tool: 'gemini',
+    size: plan.size,
+    mtime: plan.mtime,
+    offset: 0,
+    records: rawMessages.length
+  };
 
-          // Use first user message as summary (clean content)
-          if (msgType === 'user' && !summary && content) {
-            // Remove "--- Content from referenced files ---" and everything after
-            let cleanContent = content.split('--- Content from referenced files ---')[0].trim();
-            if (cleanContent && !cleanContent.startsWith('/')) {
-              summary = truncate(cleanContent, 200);
-            }
-          }
+  const stats = {
+    imported: false,
+    sessionId,
+    records: rawMessages.length,
+    totalRecords: rawMessages.length,
+    bytes: plan.size
+  };
+
+  if (rawMessages.length === 0) {
+    saveImportState(fileState);
+    return stats;
+  }
+
+  // Gemini rewrites the whole file on every update, so "append" means
+  // skipping the messages we already have; fewer messages means a rewrite.
+  // The last stored message is read again: Gemini fills tool results and
+  // status into a message after writing it
+  let startIndex = plan.mode === 'append' ? plan.records - 1 : 0;
+  if (startIndex < 0 || startIndex >= rawMessages.length) {
+    startIndex = 0;
+  }
+  if (startIndex > 0) {
+    deleteMessagesFrom(sessionId, messageRowIds(sessionId, rawMessages[startIndex], startIndex));
+  }
+  if (startIndex === 0 && sessionExists(sessionId)) {
+    deleteSessionMessages(sessionId);
+  }
+  const existing = startIndex > 0
+    ? getSessionMessageStats(sessionId)
+    : { count: 0, next_position: 0 };
+
+  let summary = null;
+  const writer = createMessageWriter(sessionId, 'gemini');
 
-          messages.push({
-            id: msg.id || generateMessageId(sessionId, i),
-            type: msgType,
-            content,
-            thinking,
-            timestamp: ts,
-            tool_name: null,
-            tool_input: null,
-            tool_output: null,
-            position: i
-          });
+  for (let i = startIndex; i < rawMessages.length; i++) {
+    const msg = rawMessages[i];
+    let msgType = msg.type || '';
+    const ts = msg.timestamp;
+    const content = extractContent(msg.content);
+
+    // Map gemini -> assistant
+    if (msgType === 'gemini') {
+      msgType = 'assistant';
+    } else if (msgType === 'info') {
+      // Skip info messages
+      continue;
+    }
+
+    if (msgType === 'user' || msgType === 'assistant') {
+      // Extract thinking from thoughts array
+      let thinking = null;
+      const thoughts = msg.thoughts || [];
+      if (thoughts.length > 0) {
+        const thinkingParts = [];
+        for (const thought of thoughts) {
+          const subject = thought.subject || '';
+          const desc = thought.description || '';
+          if (subject || desc) {
+            thinkingParts.push(subject ? `**${subject}**\n${desc}` : desc);
+          }
         }
+        thinking = thinkingParts.length > 0 ? thinkingParts.join('\n\n') : null;
       }
 
-      if (!summary) {
-        summary = 'Gemini session';
+      // Use first user message as summary (clean content)
+      if (msgType === 'user' && !summary && content) {
+        // Remove "--- Content from referenced files ---" and everything after
+        let cleanContent = content.split('--- Content from referenced files ---')[0].trim();
+        if (cleanContent && !cleanContent.startsWith('/')) {
+          summary = truncate(cleanContent, 200);
+        }
       }
 
-      // Insert session
-      upsertSession({
-        id: sessionId,
-        tool: 'gemini',
-        project: projectName,
-        project_path: null,
-        started_at: firstTs,
-        ended_at: lastTs,
-        message_count: messages.length,
-        summary
-      });
+      const toolCalls = msg.toolCalls || [];
+      const model = msgType === 'assistant' ? msg.model || null : null;
 
-      // Insert messages
-      if (messages.length > 0) {
-        insertMessages(sessionId, messages);
+      if (content || thinking || toolCalls.length === 0) {
+        writer.push({
+          id: messageId(sessionId, msg, i),
+          type: msgType,
+          content,
+          thinking,
+          timestamp: ts,
+          tool_name: null,
+          tool_input: null,
+          tool_output: null,
+          position: existing.next_position + writer.count,
+          model
+        });
       }
 
-      imported++;
+      // Each tool call becomes its own message so it can be shown as a card
+      toolCalls.forEach((toolCall, n) => {
+        writer.push({
+          id: toolCallId(sessionId, toolCall, i, n),
+          type: 'assistant',
+          content: null,
+          thinking: null,
+          timestamp: toolCall.timestamp || ts,
+          tool_name: toolCall.name || toolCall.displayName || 'tool',
+          tool_input: toolCall.args ?? null,
+          tool_output: extractToolOutput(toolCall),
+          tool_error: toolCall.status === 'error',
+          position: existing.next_position + writer.count,
+          model
+        });
+      });
     }
   }
 
+  if (!summary && startIndex === 0) {
+    summary = 'Gemini session';
+  }
+
+  writer.flush();
+
+  // Insert session
+  upsertSession({
+    id: sessionId,
+    tool: 'gemini',
+    project: projectName,
+    project_path: projectPath,
+    started_at: firstTs,
+    ended_at: lastTs,
+    message_count: existing.count + writer.count,
+    summary
+  });
+
+  saveImportState(fileState);
+  return { ...stats, imported: true };
+}
+
+/**
+ * Import Gemini CLI sessions
+ * @param {string} geminiPath - Path to Gemini tmp directory
+ * @param {Object} options - { onProgress: called after each file (see importFiles) }
+ * @returns {number} Number of imported or updated sessions
+ */
+export async function importGeminiSessions(geminiPath = DEFAULT_PATH, options = {}) {
+  const files = findGeminiSessionFiles(geminiPath);
+  const context = createGeminiContext(geminiPath);
+  const { imported } = await importFiles(
+    files,
+    file => importGeminiFile(file, context),
+    { ...options, tool: 'gemini' }
+  );
   return imported;
 }
 
@@ -0,0 +1,133 @@
+/**
+ * Prompt History Importer
+ *
+ * Reads the prompt history files the CLIs keep next to their sessions:
+ * - ~/.claude/history.jsonl: { display, timestamp (ms), project, sessionId? }
+ * - ~/.codex/history.jsonl: { session_id, ts (seconds), text }
+ *
+ * Every prompt typed is recorded there, including prompts of sessions whose
+ * transcripts were cleaned up since. Prompts are stored on their own (see the
+ * prompts table) and linked to their session and project where the history
+ * says which one it was.
+ *
+ * The files only grow, so they are read incrementally; prompts already
+ * stored are never removed, even if the tool trims its history.
+ */
+
+import { createHash } from 'crypto';
+import { existsSync } from 'fs';
+import { basename } from 'path';
+import { getEnabledTools, isToolHistoryFile } from '../tools.config.js';
+import { insertPrompts, saveImportState } from '../db/index.js';
+import { readJsonlRecords, getFileImportPlan, offsetChecksum } from './utils.js';
+
+// Prompts go to the database in batches, like messages
+const BATCH_SIZE = 500;
+
+// How each tool's history records map to prompts
+const PARSERS = {
+  claude: (record) => ({
+    text: record.display,
+    timestamp: record.timestamp,
+    project_path: record.project || null,
+    session_id: record.sessionId || null
+  }),
+  // Codex sessions are stored under the last group of their UUID (see codex.js)
+  codex: (record) => ({
+    text: record.text,
+    timestamp: typeof record.ts === 'number' ? record.ts * 1000 : record.ts,
+    project_path: null,
+    session_id: record.session_id ? record.session_id.split('-').pop() : null
+  })
+};
+
+/**
+ * Find a tool's prompt history file
+ * @param {string} historyPath - Path of the history file
+ * @returns {string[]} The file, if it exists
+ */
+export function findPromptHistoryFiles(historyPath) {
+  return historyPath && existsSync(historyPath) ? [historyPath] : [];
+}
+
+/**
+ * Per-run state: which tool's format the file is in
+ */
+export function createPromptHistoryContext(historyPath, toolId) {
+  return { tool: toolId };
+}
+
+function toIso(value) {
+  if (value === undefined || value === null) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+/**
+ * Import the new prompts of one history file
+ * @param {string} filePath - Path to a history.jsonl
+ * @param {Object} context - From createPromptHistoryContext() (looked up from
+ *   the tools' history paths if omitted)
+ * @returns {Promise<{ imported: boolean, records: number, bytes: number }>}
+ */
+export async function importPromptHistoryFile(filePath, context = null) {
+  const tool = context?.tool || getEnabledTools().find(t => isToolHistoryFile(t, filePath))?.id;
+  const parse = PARSERS[tool];
+  if (!parse) {
+    throw new Error(`Unknown prompt history format: ${filePath}`);
+  }
+
+  const plan = getFileImportPlan(filePath);
+  if (plan.mode === 'skip') {
+    return { imported: false, skipped: true, records: 0, bytes: 0 };
+  }
+
+  const reader = readJsonlRecords(filePath, { offset: plan.offset, line: plan.lines });
+  let batch = [];
+  let added = 0;
+
+  for await (const record of reader) {
+    const prompt = parse(record);
+    const text = typeof prompt.text === 'string' ? prompt.text.trim() : '';
+    if (!text) continue;
+
+    const timestamp = toIso(prompt.timestamp);
+    batch.push({
+      id: createHash('sha256').update(`${tool}\n${timestamp}\n${text}`).digest('hex').slice(0, 32),
+      tool,
+      session_id: prompt.session_id,
+      project: prompt.project_path ? basename(prompt.project_path) : null,
+      project_path: prompt.project_path,
+      text,
+      timestamp
+    });
+    if (batch.length >= BATCH_SIZE) {
+      added += insertPrompts(batch);
+      batch = [];
+    }
+  }
+  added += insertPrompts(batch);
+
+  saveImportState({
+    file_path: filePath,
+    session_id: null,
+    tool,
+    size: plan.size,
+    mtime: plan.mtime,
+    offset: reader.offset,
+    records: plan.records + reader.records,
+    lines: reader.lines,
+    checksum: offsetChecksum(filePath, reader.offset)
+  });
+
+  return {
+    imported: added > 0,
+    prompts: added,
+    records: reader.records,
+    totalRecords: plan.records + reader.records,
+    bytes: reader.bytes,
+    errors: reader.errors,
+    errorLines: reader.errorLines,
+    append: plan.mode === 'append'
+  };
+}
@@ -3,78 +3,399 @@
  *
  * Coordinates importing sessions from multiple AI coding assistants.
  * Uses tools.config.js to determine which importers are enabled
- * and where to find their session files.
+ * and where to find their session files: each tool's roots (its default
+ * folder, or the folders listed in config.json), whose label is stored on
+ * the sessions read from them.
  *
  * Supported tools:
  * - Claude Code: ~/.claude/projects/
  * - Codex CLI: ~/.codex/sessions/
  * - Gemini CLI: ~/.gemini/tmp/
+ * - Aider: .aider.chat.history.md in each repository
+ * - Cline / Roo Code: VS Code globalStorage/<extension>/tasks/
+ * - Cursor: state.vscdb databases in Cursor's User folder
  *
- * Each importer parses tool-specific formats (JSONL, JSON)
+ * Tools with a prompt history file (Claude Code, Codex CLI) also have their
+ * prompts imported, see history.js.
+ *
+ * Each importer parses tool-specific formats (JSONL, JSON, Markdown, SQLite)
  * and normalizes them into a common session/message structure.
+ *
+ * Built-in importers work file by file: the files of all tools are collected
+ * first and then imported in-process or spread across worker threads
+ * (see workers.js), with progress reported after every file.
+ *
+ * Plugins (see plugins.js) add tools through registerImporter() and
+ * registerFileImporter().
  */
 
-import { getEnabledTools } from '../tools.config.js';
+import { resolve, sep } from 'path';
+import {
+  getEnabledTools,
+  getToolRoots,
+  getToolRootForFile,
+  getToolRootForHistoryFile
+} from '../tools.config.js';
+import {
+  getImportLog,
+  removeImportLogEntries,
+  setSessionSourceLabel,
+  refreshSessionModels,
+  refreshSessionUsage,
+  markSessionTermsStale
+} from '../db/index.js';
+import { importFiles, recordImportOutcome } from './utils.js';
+import { importInWorkers } from './workers.js';
 
 // Import all available importers
-import { importClaudeSessions } from './claude.js';
-import { importCodexSessions } from './codex.js';
-import { importGeminiSessions } from './gemini.js';
+import { importClaudeSessions, findClaudeSessionFiles, importClaudeFile } from './claude.js';
+import { importCodexSessions, findCodexSessionFiles, importCodexFile } from './codex.js';
+import {
+  importGeminiSessions,
+  findGeminiSessionFiles,
+  importGeminiFile,
+  createGeminiContext
+} from './gemini.js';
+import { importAiderSessions, findAiderSessionFiles, importAiderFile, isIgnoredAiderPath } from './aider.js';
+import {
+  importClineSessions,
+  findClineSessionFiles,
+  importClineFile,
+  createClineContext
+} from './cline.js';
+import {
+  importCursorSessions,
+  findCursorSessionFiles,
+  importCursorFile,
+  createCursorContext
+} from './cursor.js';
+import {
+  findPromptHistoryFiles,
+  importPromptHistoryFile,
+  createPromptHistoryContext
+} from './history.js';
+
+// Importer of the tools' prompt history files (tool.history)
+const HISTORY_IMPORTER = 'history';
 
 // Map importer names to functions
 const importers = {
   claude: importClaudeSessions,
   codex: importCodexSessions,
-  gemini: importGeminiSessions
+  gemini: importGeminiSessions,
+  aider: importAiderSessions,
+  cline: importClineSessions,
+  cursor: importCursorSessions
+};
+
+// File-level entry points of the built-in importers (and of plugins that
+// provide them; others only have a whole-directory function)
+const fileImporters = {
+  claude: { findFiles: findClaudeSessionFiles, importFile: importClaudeFile },
+  codex: { findFiles: findCodexSessionFiles, importFile: importCodexFile },
+  gemini: { findFiles: findGeminiSessionFiles, importFile: importGeminiFile, createContext: createGeminiContext },
+  // Aider histories sit in repositories all over home: watch only the folders the search visits
+  aider: { findFiles: findAiderSessionFiles, importFile: importAiderFile, watchIgnored: isIgnoredAiderPath },
+  // Shared by Cline and Roo Code (the context carries the tool id)
+  cline: { findFiles: findClineSessionFiles, importFile: importClineFile, createContext: createClineContext },
+  // Cursor's databases change through their -wal files, which stand for the database
+  cursor: {
+    findFiles: findCursorSessionFiles,
+    importFile: importCursorFile,
+    createContext: createCursorContext,
+    watchPaths: root => findCursorSessionFiles(root).flatMap(file => [file, `${file}-wal`]),
+    sourceFile: filePath => filePath.replace(/-wal$/, '')
+  },
+  [HISTORY_IMPORTER]: {
+    findFiles: findPromptHistoryFiles,
+    importFile: importPromptHistoryFile,
+    createContext: createPromptHistoryContext
+  }
 };
 
+/**
+ * Roll up what imported sessions need beyond their messages: the root's
+ * label, their models and token usage. Their terms (for related sessions)
+ * read the whole session, so they are only marked stale here and
+ * recomputed later (see refreshStaleSessionTerms())
+ */
+function refreshImportedSessions(sessionIds, label) {
+  if (sessionIds.length === 0) return;
+  setSessionSourceLabel(sessionIds, label || null);
+  refreshSessionModels(sessionIds);
+  refreshSessionUsage(sessionIds);
+  markSessionTermsStale(sessionIds);
+}
+
+/**
+ * Import a tool's root with its whole-folder importer (plugins). Importers
+ * return the number of imported sessions, or { imported, sessionIds }
+ * @returns {Promise<number>} Imported sessions
+ */
+async function importFolder(importer, root, label) {
+  const result = await importer(root);
+  if (result && typeof result === 'object') {
+    refreshImportedSessions(result.sessionIds || [], label);
+    return result.imported || 0;
+  }
+  return result || 0;
+}
+
+/**
+ * Import one file task ({ tool, importer, root, label, filePath })
+ *
+ * Contexts (per-run lookups such as Gemini project hashes) are created once
+ * per tool and root, with createContext(root, toolId), and kept in the given map.
+ *
+ * The sessions the file produced are refreshed (see refreshImportedSessions()).
+ * Importers report them as sessionId, or sessionIds when one file holds
+ * several sessions.
+ */
+export async function importFileTask(task, contexts = new Map()) {
+  const { importFile, createContext } = fileImporters[task.importer];
+  let context = null;
+  if (createContext) {
+    const key = `${task.tool}:${task.root}`;
+    if (!contexts.has(key)) {
+      contexts.set(key, createContext(task.root, task.tool));
+    }
+    context = contexts.get(key);
+  }
+
+  const result = await importFile(task.filePath, context);
+  const sessionIds = result?.sessionIds || (result?.sessionId ? [result.sessionId] : []);
+  refreshImportedSessions(sessionIds, task.label);
+  return result;
+}
+
+/**
+ * Roots to import a tool from: its configured roots, or the folder given
+ * for it in options.sources
+ */
+function getImportRoots(tool, sources) {
+  return sources
+    ? [{ path: sources[tool.id], label: null, history: null }]
+    : getToolRoots(tool);
+}
+
+/**
+ * Forget import log entries under a scanned folder whose files are gone
+ * (including a failure recorded for the folder itself by an earlier scan)
+ */
+function pruneImportLog(toolId, root, files) {
+  const present = new Set(files);
+  const folder = resolve(root);
+  const stale = getImportLog({ tool: toolId, limit: -1 })
+    .map(entry => entry.file_path)
+    .filter(filePath => {
+      const path = resolve(filePath);
+      return (path === folder || path.startsWith(folder + sep)) && !present.has(filePath);
+    });
+  if (stale.length > 0) {
+    removeImportLogEntries(stale);
+  }
+}
+
 /**
  * Import sessions from all enabled AI tools
+ * @param {Object} options
+ * @param {number} options.workers - Worker threads for the file imports (1 = in-process)
+ * @param {Function} options.onProgress - Called after each file with
+ *   { done, total, file, imported, records, bytes }
+ * @param {Object} options.sources - Import only these tools, from these folders
+ *   ({ toolId: path }), e.g. to benchmark against a fixture corpus
+ *
+ * The terms of the imported sessions are left stale: the caller refreshes
+ * them with refreshStaleSessionTerms() when it suits it.
  * @returns {Object} Import statistics per tool
  */
-export async function importAllSessions() {
+export async function importAllSessions(options = {}) {
+  const { workers = 1, onProgress, sources = null } = options;
   const stats = {};
-  const enabledTools = getEnabledTools();
+  const tasks = [];
+  const enabledTools = sources
+    ? getEnabledTools().filter(t => sources[t.id])
+    : getEnabledTools();
 
   for (const tool of enabledTools) {
+    stats[tool.id] = 0;
+    const fileImporter = fileImporters[tool.importer];
     const importer = importers[tool.importer];
 
-    if (importer) {
+    if (!fileImporter && !importer) {
+      console.warn(`  No importer found for ${tool.name} (${tool.importer})`);
+      continue;
+    }
+
+    for (const { path: root, label, history } of getImportRoots(tool, sources)) {
       try {
-        stats[tool.id] = await importer(tool.defaultPath);
+        if (fileImporter) {
+          const files = await fileImporter.findFiles(root);
+          for (const filePath of files) {
+            tasks.push({ tool: tool.id, importer: tool.importer, root, label, filePath });
+          }
+          pruneImportLog(tool.id, root, files);
+          // The prompt history lives next to the session folder (not part of a fixture corpus)
+          for (const filePath of findPromptHistoryFiles(history)) {
+            tasks.push({ tool: tool.id, importer: HISTORY_IMPORTER, root: history, label, filePath });
+          }
+        } else {
+          stats[tool.id] += await importFolder(importer, root, label);
+        }
       } catch (err) {
-        console.error(`  Error importing ${tool.name}:`, err.message);
-        stats[tool.id] = 0;
+        // Logged against the tool's folder so it shows up in the import log
+        console.error(`  Error importing ${tool.name} from ${root}:`, err.message);
+        recordImportOutcome(tool.id, root, { error: err.message });
       }
-    } else {
-      console.warn(`  No importer found for ${tool.name} (${tool.importer})`);
-      stats[tool.id] = 0;
     }
   }
 
+  const contexts = new Map();
+  const { results } = workers > 1 && tasks.length > 1
+    ? await importInWorkers(tasks, { workers, onProgress })
+    : await importFiles(tasks, task => importFileTask(task, contexts), { onProgress });
+
+  // Stats count sessions; prompt history files don't add any
+  results.forEach((result, i) => {
+    if (result.imported && tasks[i].importer !== HISTORY_IMPORTER) stats[tasks[i].tool]++;
+  });
+
+  return stats;
+}
+
+/**
+ * Find the enabled tool and root a file belongs to
+ * @param {Function} getRoot - getToolRootForFile or getToolRootForHistoryFile
+ */
+function findToolRoot(getRoot, filePath) {
+  for (const tool of getEnabledTools()) {
+    const root = getRoot(tool, filePath);
+    if (root) return { tool, root };
+  }
+  return null;
+}
+
+/**
+ * Import specific session files (e.g. the ones the watcher saw change)
+ *
+ * The terms of the imported sessions are left stale: the caller refreshes
+ * them with refreshStaleSessionTerms() when it suits it.
+ * @param {string[]} filePaths - Changed files; files outside any enabled tool's folder are ignored
+ * @returns {Object} Number of imported or updated sessions per tool
+ */
+export async function importSessionFiles(filePaths) {
+  const stats = {};
+  const tasks = [];
+
+  // Roots of tools with only a whole-directory importer are re-imported once
+  const folders = new Map();
+
+  const seen = new Set();
+  for (const changedPath of filePaths) {
+    const history = findToolRoot(getToolRootForHistoryFile, changedPath);
+    if (history) {
+      if (seen.has(changedPath)) continue;
+      seen.add(changedPath);
+      tasks.push({
+        tool: history.tool.id,
+        importer: HISTORY_IMPORTER,
+        root: history.root.history,
+        label: history.root.label,
+        filePath: changedPath
+      });
+      continue;
+    }
+
+    const match = findToolRoot(getToolRootForFile, resolve(changedPath));
+    if (!match) continue;
+    const { tool, root } = match;
+    const fileImporter = fileImporters[tool.importer];
+    if (fileImporter) {
+      // A changed side file (e.g. a database's -wal) imports the file it belongs to
+      const filePath = fileImporter.sourceFile ? fileImporter.sourceFile(changedPath) : changedPath;
+      if (seen.has(filePath)) continue;
+      seen.add(filePath);
+      tasks.push({ tool: tool.id, importer: tool.importer, root: root.path, label: root.label, filePath });
+    } else if (importers[tool.importer]) {
+      folders.set(`${tool.id}:${root.path}`, { tool, root: root.path, label: root.label });
+    }
+  }
+
+  for (const { tool, root, label } of folders.values()) {
+    try {
+      stats[tool.id] = (stats[tool.id] || 0) + await importFolder(importers[tool.importer], root, label);
+    } catch (err) {
+      console.error(`  Error importing ${tool.name} from ${root}:`, err.message);
+      recordImportOutcome(tool.id, root, { error: err.message });
+    }
+  }
+
+  const contexts = new Map();
+  const { results } = await importFiles(tasks, task => importFileTask(task, contexts));
+  results.forEach((result, i) => {
+    const { tool, importer } = tasks[i];
+    const sessions = result.imported && importer !== HISTORY_IMPORTER ? 1 : 0;
+    stats[tool] = (stats[tool] || 0) + sessions;
+  });
+
   return stats;
 }
 
+/**
+ * Paths the watcher should follow for a tool: the folder of each root, unless
+ * the importer names the files itself, and the roots' prompt history files
+ * @returns {Array} { path, ignored }: ignored(filePath, stats) tells which
+ *   paths below it the importer doesn't need (null: the watcher's default)
+ */
+export function getWatchPaths(tool) {
+  const fileImporter = fileImporters[tool.importer];
+  return getToolRoots(tool).flatMap(({ path, history }) => {
+    const paths = fileImporter?.watchPaths ? fileImporter.watchPaths(path) : [path];
+    const ignored = fileImporter?.watchIgnored
+      ? (filePath, stats) => fileImporter.watchIgnored(path, filePath, stats)
+      : null;
+    const watched = paths.map(watchPath => ({ path: watchPath, ignored }));
+    return history ? [...watched, { path: history, ignored: null }] : watched;
+  });
+}
+
 /**
  * Register a new importer dynamically
  * @param {string} name - Importer name (must match tool.importer in config)
- * @param {Function} importerFn - The importer function
+ * @param {Function} importerFn - async (root) => imported session count, or
+ *   { imported, sessionIds } so the sessions get refreshed like file imports
  */
 export function registerImporter(name, importerFn) {
   importers[name] = importerFn;
 }
 
+/**
+ * Register a file-level importer, so the tool's files are imported one by one
+ * (with progress, the import log and worker threads like the built-ins)
+ * @param {string} name - Importer name (must match tool.importer in config)
+ * @param {Object} fileImporter - { findFiles(root), importFile(filePath, context),
+ *   createContext(root) (optional, see importFileTask()),
+ *   watchIgnored(root, filePath, stats) (optional, see getWatchPaths()) }
+ */
+export function registerFileImporter(name, fileImporter) {
+  fileImporters[name] = fileImporter;
+}
+
 /**
  * Get list of available importer names
  */
 export function getAvailableImporters() {
-  return Object.keys(importers);
+  return [...new Set([...Object.keys(importers), ...Object.keys(fileImporters)])];
 }
 
 // Re-export individual importers for direct use
-export { importClaudeSessions } from './claude.js';
-export { importCodexSessions } from './codex.js';
-export { importGeminiSessions } from './gemini.js';
+export { importClaudeSessions, importClaudeFile } from './claude.js';
+export { importCodexSessions, importCodexFile } from './codex.js';
+export { importGeminiSessions, importGeminiFile } from './gemini.js';
+export { importAiderSessions, importAiderFile } from './aider.js';
+export { importClineSessions, importClineFile } from './cline.js';
+export { importCursorSessions, importCursorFile } from './cursor.js';
+export { importPromptHistoryFile } from './history.js';
 
 // Re-export utilities
-export { maskSecrets, parseJsonlFile, parseJsonFile } from './utils.js';
+export { maskSecrets, parseJsonlFile, readJsonlRecords, parseJsonFile } from './utils.js';
@@ -0,0 +1,273 @@
+/**
+ * Importer Plugins
+ *
+ * Loads importers for additional AI tools at startup, so a tool can be added
+ * without editing the package. Plugins come from:
+ * - ~/.vibecoding-chronicle/plugins/: *.js / *.mjs files, or folders with a package.json
+ * - ~/.vibecoding-chronicle/config.json: { "plugins": ["some-package", "./path/to/plugin.js"] }
+ *   (packages resolve from ~/.vibecoding-chronicle/node_modules, relative
+ *   paths from ~/.vibecoding-chronicle/)
+ *
+ * Plugin contract (apiVersion 1) - the module's default export is either the
+ * plugin object or a function (api) => plugin, where api is the helper set
+ * built in createPluginApi():
+ *
+ *   {
+ *     apiVersion: 1,
+ *     tool: {
+ *       id: 'mytool',                 // stored in sessions.tool, [a-z0-9_-]
+ *       name: 'My Tool',
+ *       icon: 'fa-terminal',          // Font Awesome icon (optional)
+ *       color: 'text-purple-500',     // Tailwind text color (optional)
+ *       defaultPath: '~/.mytool/logs',  // folder with session files
+ *       watch: ['*.jsonl']            // globs below defaultPath (optional)
+ *     },
+ *     // Either file by file (preferred: progress, import log, worker threads)
+ *     findFiles: async (root) => ['/abs/path', ...],
+ *     importFile: async (filePath, context) => ({ imported, skipped, sessionId,
+ *       sessionIds, records, totalRecords, bytes, errors, errorLines, append }),
+ *     createContext: (root, toolId) => context,  // optional, once per import run
+ *     // ... or the whole folder at once
+ *     importSessions: async (root) => numberOfImportedSessions
+ *       // or { imported, sessionIds }
+ *   }
+ *
+ * Sessions a folder importer writes with api.upsertSession, or lists in
+ * sessionIds, get their source label, models, usage and terms refreshed
+ * like the ones file importers report.
+ *
+ * Like the built-in tools, a plugin's tool can be given several roots in
+ * config.json ("tools": { "<id>": { "roots": [...] } }).
+ *
+ * A plugin that fails to load or doesn't match the contract is reported and
+ * skipped; it never stops the built-in importers.
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { createRequire } from 'module';
+import { join, isAbsolute } from 'path';
+import { pathToFileURL } from 'url';
+import { DATA_DIR, getConfig, resolveConfigPath } from '../config.js';
+import { registerTool, getTool } from '../tools.config.js';
+import { registerImporter, registerFileImporter } from './index.js';
+import {
+  upsertSession,
+  sessionExists,
+  deleteSessionMessages,
+  getSessionMessageStats,
+  updateToolResult,
+  saveImportState
+} from '../db/index.js';
+import {
+  readJsonlRecords,
+  parseJsonFile,
+  createMessageWriter,
+  getFileImportPlan,
+  offsetChecksum,
+  maskSecrets,
+  generateMessageId,
+  truncate
+} from './utils.js';
+
+// Newest plugin contract this version understands
+export const PLUGIN_API_VERSION = 1;
+
+const PLUGINS_DIR = join(DATA_DIR, 'plugins');
+
+const TOOL_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Plugins seen by loadPlugins(): { source, id, name, version, error }
+const loadedPlugins = [];
+
+/**
+ * Helpers handed to plugin factories, so plugins installed outside the
+ * package can write sessions the same way the built-in importers do
+ * @param {Set} writtenSessions - Collects the IDs passed to upsertSession
+ */
+function createPluginApi(writtenSessions) {
+  return {
+    apiVersion: PLUGIN_API_VERSION,
+    upsertSession: (session) => {
+      writtenSessions.add(session.id);
+      return upsertSession(session);
+    },
+    sessionExists,
+    deleteSessionMessages,
+    getSessionMessageStats,
+    updateToolResult,
+    saveImportState,
+    readJsonlRecords,
+    parseJsonFile,
+    createMessageWriter,
+    getFileImportPlan,
+    offsetChecksum,
+    maskSecrets,
+    generateMessageId,
+    truncate
+  };
+}
+
+/**
+ * Find plugin module paths in the plugins folder and the config file
+ */
+function discoverPlugins(pluginsDir) {
+  const sources = [];
+
+  if (existsSync(pluginsDir)) {
+    for (const entry of readdirSync(pluginsDir).sort()) {
+      if (entry.startsWith('.')) continue;
+      const path = join(pluginsDir, entry);
+      if (statSync(path).isDirectory()) {
+        if (existsSync(join(path, 'package.json'))) sources.push(path);
+      } else if (entry.endsWith('.js') || entry.endsWith('.mjs')) {
+        sources.push(path);
+      }
+    }
+  }
+
+  for (const spec of getConfig().plugins || []) {
+    sources.push(spec);
+  }
+
+  return sources;
+}
+
+/**
+ * Resolve a plugin source to a module file: a folder goes through its
+ * package.json, a package name through node_modules next to the config file
+ */
+function resolvePluginModule(source, baseDir) {
+  const isPath = isAbsolute(source) || source.startsWith('.') || source.startsWith('~');
+  const path = resolveConfigPath(source);
+  const require = createRequire(join(baseDir, 'noop.js'));
+
+  if (isPath && existsSync(path) && statSync(path).isDirectory()) {
+    const pkg = JSON.parse(readFileSync(join(path, 'package.json'), 'utf8'));
+    return { modulePath: require.resolve(path), version: pkg.version || null };
+  }
+  return { modulePath: require.resolve(isPath ? path : source), version: null };
+}
+
+/**
+ * Check a plugin object against the contract
+ * @returns {string|null} What's wrong with it
+ */
+function validatePlugin(plugin) {
+  if (!plugin || typeof plugin !== 'object') return 'default export is not a plugin object';
+  if (typeof plugin.apiVersion !== 'number') return 'missing apiVersion';
+  if (plugin.apiVersion > PLUGIN_API_VERSION) {
+    return `needs plugin API v${plugin.apiVersion}, this version supports v${PLUGIN_API_VERSION}`;
+  }
+
+  const { tool } = plugin;
+  if (!tool || !TOOL_ID_PATTERN.test(tool.id || '')) return 'tool.id must match [a-z0-9_-]';
+  if (!tool.name) return 'missing tool.name';
+  if (!tool.defaultPath) return 'missing tool.defaultPath';
+  if (tool.watch && !Array.isArray(tool.watch)) return 'tool.watch must be an array of globs';
+  if (getTool(tool.id)) return `tool "${tool.id}" is already registered`;
+
+  const fileLevel = typeof plugin.findFiles === 'function' && typeof plugin.importFile === 'function';
+  if (!fileLevel && typeof plugin.importSessions !== 'function') {
+    return 'needs findFiles() and importFile(), or importSessions()';
+  }
+  return null;
+}
+
+/**
+ * Import, check and register one plugin
+ */
+async function loadPlugin(source, baseDir) {
+  const entry = { source, id: null, name: null, version: null, error: null };
+
+  try {
+    const { modulePath, version } = resolvePluginModule(source, baseDir);
+    entry.modulePath = modulePath;
+    entry.version = version;
+
+    const mod = await import(pathToFileURL(modulePath).href);
+    const exported = mod.default ?? mod;
+    const writtenSessions = new Set();
+    const plugin = typeof exported === 'function' ? await exported(createPluginApi(writtenSessions)) : exported;
+
+    const problem = validatePlugin(plugin);
+    if (problem) throw new Error(problem);
+
+    const { tool } = plugin;
+    const defaultPath = resolveConfigPath(tool.defaultPath);
+
+    registerTool({
+      id: tool.id,
+      name: tool.name,
+      icon: tool.icon || 'fa-puzzle-piece',
+      color: tool.color || 'text-gray-500',
+      enabled: tool.enabled !== false,
+      defaultPath,
+      watch: tool.watch || [],
+      importer: tool.id,
+      plugin: source
+    });
+
+    if (plugin.findFiles && plugin.importFile) {
+      registerFileImporter(tool.id, {
+        findFiles: plugin.findFiles,
+        importFile: plugin.importFile,
+        createContext: plugin.createContext
+      });
+    }
+    if (plugin.importSessions) {
+      registerImporter(tool.id, async (root) => {
+        writtenSessions.clear();
+        const result = await plugin.importSessions(root);
+        const reported = (result && typeof result === 'object') ? result : { imported: result };
+        return {
+          imported: reported.imported || 0,
+          sessionIds: [...new Set([...writtenSessions, ...(reported.sessionIds || [])])]
+        };
+      });
+    }
+
+    entry.id = tool.id;
+    entry.name = tool.name;
+    entry.version = plugin.version || entry.version;
+  } catch (err) {
+    // Module resolution errors append a require stack; keep the first line
+    entry.error = err.message.split('\n')[0];
+    console.warn(`⚠️  Plugin ${source} not loaded: ${entry.error}`);
+  }
+
+  loadedPlugins.push(entry);
+  return entry;
+}
+
+/**
+ * Load importer plugins
+ * @param {Object} options
+ * @param {string} options.dir - Plugins folder (default ~/.vibecoding-chronicle/plugins)
+ * @param {string[]} options.modules - Load exactly these module paths instead
+ *   of discovering them (import workers repeat what the main thread loaded)
+ * @returns {Promise<Array>} { source, id, name, version, error } per plugin
+ */
+export async function loadPlugins(options = {}) {
+  const { dir = PLUGINS_DIR, modules = null } = options;
+  const sources = modules || discoverPlugins(dir);
+  const results = [];
+
+  for (const source of sources) {
+    results.push(await loadPlugin(source, DATA_DIR));
+  }
+  return results;
+}
+
+/**
+ * Plugins seen so far, including the ones that failed to load
+ */
+export function getLoadedPlugins() {
+  return loadedPlugins.map(({ modulePath, ...plugin }) => plugin);
+}
+
+/**
+ * Module paths of the plugins that loaded (for import workers)
+ */
+export function getPluginModules() {
+  return loadedPlugins.filter(p => !p.error).map(p => p.modulePath);
+}
@@ -0,0 +1,133 @@
+/**
+ * Parallel Import with Worker Threads
+ *
+ * Spreads file import tasks across worker threads for the initial scan of
+ * large histories. Each worker opens its own connection to the database
+ * (WAL mode lets them write side by side; SQLite serializes the commits) and
+ * asks for the next file as soon as it finishes one, so a few huge
+ * transcripts don't hold up the rest.
+ *
+ * The same module is the worker entry point: when loaded inside a worker it
+ * imports the tasks it receives and reports each result back.
+ */
+
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import { initDb, getDbPath } from '../db/index.js';
+import { importFiles, recordImportOutcome } from './utils.js';
+import { loadPlugins, getPluginModules } from './plugins.js';
+
+/**
+ * Import tasks ({ tool, importer, root, filePath }) using a pool of workers
+ *
+ * A worker that exits in the middle of a file has that file recorded as
+ * failed and is replaced while tasks remain. A worker 'error' stops the whole
+ * pool, so nothing keeps writing after the caller has been told it failed.
+ * @param {Array} tasks - File import tasks
+ * @param {Object} options - { workers: pool size, onProgress: see importFiles() }
+ * @returns {Promise<{ imported: number, records: number, bytes: number, results: Array }>}
+ */
+export function importInWorkers(tasks, options = {}) {
+  const { workers = 2, onProgress } = options;
+  const totals = { imported: 0, records: 0, bytes: 0, results: new Array(tasks.length) };
+  const poolSize = Math.min(workers, tasks.length);
+  let next = 0;
+  let done = 0;
+
+  return new Promise((resolve, reject) => {
+    const pool = new Set();
+    let failed = false;
+
+    const addResult = (index, result) => {
+      totals.results[index] = result;
+      if (result.imported) totals.imported++;
+      totals.records += result.records;
+      totals.bytes += result.bytes;
+      done++;
+
+      if (onProgress) {
+        onProgress({
+          done,
+          total: tasks.length,
+          file: tasks[index].filePath,
+          imported: totals.imported,
+          records: totals.records,
+          bytes: totals.bytes
+        });
+      }
+    };
+
+    const startWorker = () => {
+      const worker = new Worker(new URL(import.meta.url), {
+        workerData: { dbPath: getDbPath(), pluginModules: getPluginModules() }
+      });
+      pool.add(worker);
+      // Index of the task the worker is on (null: none)
+      let current = null;
+
+      const sendNext = () => {
+        if (next < tasks.length) {
+          current = next++;
+          worker.postMessage({ index: current, task: tasks[current] });
+        } else {
+          worker.terminate();
+        }
+      };
+
+      worker.on('message', ({ index, result }) => {
+        current = null;
+        addResult(index, result);
+        sendNext();
+      });
+
+      worker.on('error', (err) => {
+        if (!failed) {
+          failed = true;
+          for (const other of pool) other.terminate();
+          reject(err);
+        }
+      });
+
+      worker.on('exit', (code) => {
+        pool.delete(worker);
+        if (failed) return;
+
+        if (current !== null) {
+          const { tool, filePath } = tasks[current];
+          const error = `Import worker exited (code ${code})`;
+          console.error(`  ❌ Failed to import ${filePath.split('/').pop()}: ${error}`);
+          const result = { imported: false, records: 0, bytes: 0, error };
+          result.status = recordImportOutcome(tool, filePath, result);
+          addResult(current, result);
+          if (next < tasks.length) startWorker();
+        }
+        if (pool.size === 0) {
+          resolve(totals);
+        }
+      });
+
+      sendNext();
+    };
+
+    for (let i = 0; i < poolSize; i++) {
+      startWorker();
+    }
+  });
+}
+
+// Worker side: import whatever file the main thread hands over. The importers
+// are loaded once this module has finished evaluating (index.js imports it),
+// and messages that arrive meanwhile stay queued on the port. Plugins the
+// main thread loaded are loaded again, so their tasks can run here too.
+if (!isMainThread && workerData?.dbPath) {
+  import('./index.js').then(async ({ importFileTask }) => {
+    initDb({ path: workerData.dbPath, worker: true });
+    await loadPlugins({ modules: workerData.pluginModules });
+    const contexts = new Map();
+
+    // importFiles() catches failures and writes the import log
+    parentPort.on('message', async ({ index, task }) => {
+      const { results } = await importFiles([task], t => importFileTask(t, contexts));
+      parentPort.postMessage({ index, result: results[0] });
+    });
+  });
+}
@@ -0,0 +1,146 @@
+/**
+ * Model Prices
+ *
+ * Estimates what the tokens recorded in sessions cost. Prices are USD per
+ * million tokens, matched by model name prefix (the longest prefix wins, so
+ * "claude-sonnet-4-5-20250929" uses "claude-sonnet-4"):
+ *
+ *   input       - uncached input tokens
+ *   output      - output tokens (including reasoning)
+ *   cacheRead   - input tokens read from the prompt cache
+ *   cacheWrite  - input tokens written to the prompt cache
+ *
+ * The built-in table is a snapshot of list prices. Override or extend it in
+ * ~/.vibecoding-chronicle/config.json:
+ *
+ *   {
+ *     "prices": {
+ *       "claude-sonnet-4": { "input": 3, "output": 15, "cacheRead": 0.3, "cacheWrite": 3.75 },
+ *       "my-local-model": { "input": 0, "output": 0 }
+ *     }
+ *   }
+ *
+ * Models without a price are counted in tokens but not in cost.
+ */
+
+import { getConfig } from './config.js';
+
+export const DEFAULT_PRICES = {
+  // Anthropic
+  'claude-opus-4-5': { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+  'claude-opus-4': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3-5-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-haiku-4-5': { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+  // OpenAI (cached input is billed at the cache read price)
+  'gpt-5': { input: 1.25, output: 10, cacheRead: 0.125 },
+  'gpt-5-mini': { input: 0.25, output: 2, cacheRead: 0.025 },
+  'gpt-5-nano': { input: 0.05, output: 0.4, cacheRead: 0.005 },
+  'gpt-4.1': { input: 2, output: 8, cacheRead: 0.5 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6, cacheRead: 0.1 },
+  'o3': { input: 2, output: 8, cacheRead: 0.5 },
+  'o3-mini': { input: 1.1, output: 4.4, cacheRead: 0.55 },
+  'o4-mini': { input: 1.1, output: 4.4, cacheRead: 0.275 },
+  'codex-mini': { input: 1.5, output: 6, cacheRead: 0.375 }
+};
+
+/**
+ * The price table in use: the defaults with config.json's "prices" on top
+ */
+export function getPriceTable() {
+  const configured = getConfig().prices;
+  return configured && typeof configured === 'object'
+    ? { ...DEFAULT_PRICES, ...configured }
+    : DEFAULT_PRICES;
+}
+
+/**
+ * Find the price of a model
+ * @param {string} model - Model name as recorded in the session
+ * @returns {Object|null} { input, output, cacheRead, cacheWrite }, or null if unknown
+ */
+export function getModelPrice(model, prices = getPriceTable()) {
+  if (!model) return null;
+  const name = model.toLowerCase();
+  let match = null;
+  for (const prefix of Object.keys(prices)) {
+    if (name.startsWith(prefix.toLowerCase()) && (!match || prefix.length > match.length)) {
+      match = prefix;
+    }
+  }
+  return match ? prices[match] : null;
+}
+
+/**
+ * Estimate the cost of a model's token usage
+ * @param {string} model - Model name
+ * @param {Object} usage - { input_tokens, output_tokens, cache_read_tokens, cache_creation_tokens }
+ * @returns {number|null} USD, or null if the model has no price
+ */
+export function estimateCost(model, usage, prices = getPriceTable()) {
+  const price = getModelPrice(model, prices);
+  if (!price) return null;
+
+  // Without a cache price, cached tokens cost what input tokens cost
+  const input = price.input || 0;
+  const cost =
+    (usage.input_tokens || 0) * input +
+    (usage.output_tokens || 0) * (price.output || 0) +
+    (usage.cache_read_tokens || 0) * (price.cacheRead ?? input) +
+    (usage.cache_creation_tokens || 0) * (price.cacheWrite ?? input);
+  return cost / 1e6;
+}
+
+/**
+ * Add up per-model usage rows (see getUsage() in db/index.js)
+ * @param {Array} rows - { model, input_tokens, output_tokens, cache_read_tokens, cache_creation_tokens }
+ * @returns {Object} Token totals, cost (USD) and the models without a price
+ */
+export function summarizeUsage(rows, prices = getPriceTable()) {
+  const summary = {
+    input_tokens: 0,
+    output_tokens: 0,
+    cache_read_tokens: 0,
+    cache_creation_tokens: 0,
+    total_tokens: 0,
+    cost: 0,
+    unpriced_models: []
+  };
+
+  for (const row of rows) {
+    const tokens = (row.input_tokens || 0) + (row.output_tokens || 0) +
+      (row.cache_read_tokens || 0) + (row.cache_creation_tokens || 0);
+    summary.input_tokens += row.input_tokens || 0;
+    summary.output_tokens += row.output_tokens || 0;
+    summary.cache_read_tokens += row.cache_read_tokens || 0;
+    summary.cache_creation_tokens += row.cache_creation_tokens || 0;
+    summary.total_tokens += tokens;
+
+    const cost = estimateCost(row.model, row, prices);
+    if (cost !== null) {
+      summary.cost += cost;
+    } else if (tokens > 0 && !summary.unpriced_models.includes(row.model || 'unknown')) {
+      summary.unpriced_models.push(row.model || 'unknown');
+    }
+  }
+  return summary;
+}
+
+/**
+ * Summarize usage rows per group key (session, project or day)
+ * @param {Array} rows - getUsage() rows, with a key
+ * @returns {Object} key -> summarizeUsage() result
+ */
+export function summarizeUsageBy(rows, prices = getPriceTable()) {
+  const groups = {};
+  for (const row of rows) {
+    (groups[row.key] ||= []).push(row);
+  }
+  const summaries = {};
+  for (const [key, group] of Object.entries(groups)) {
+    summaries[key] = summarizeUsage(group, prices);
+  }
+  return summaries;
+}
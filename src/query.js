@@ -0,0 +1,208 @@
+/**
+ * Search Query Language
+ *
+ * Parses what is typed in the search box into full-text terms and filters:
+ *
+ *   api config          - messages with words starting with "api" and "config"
+ *   "exact phrase"      - the words in this order, as typed
+ *   -legacy             - but not "legacy" (words and phrases)
+ *   cache OR redis      - either side (binds looser than the implicit AND)
+ *   tool:codex          - sessions from a tool
+ *   project:api         - project name contains "api"
+ *   tag:lesson          - sessions with a message tagged "lesson" (id or label)
+ *   role:user           - the words must be in user (or assistant) messages
+ *   after:2025-06-01    - sessions started on or after the day
+ *   before:2025-07-01   - sessions started before the day
+ *   has:thinking        - sessions with thinking, tools, errors or tags
+ *
+ * Commas list alternatives (tool:codex,claude), repeating a filter requires
+ * both (has:thinking has:tags) and a leading "-" negates one (-tool:aider).
+ * Quote a value with spaces (project:"my app") or text that looks like a
+ * filter ("todo:").
+ *
+ * Words and phrases are looked up in a scope: message text, thinking, tool
+ * calls (name, input and output) or all of them.
+ *
+ * The parser only builds a description of the query; the database turns it
+ * into FTS5 MATCH and SQL (see searchTextSql() and searchQuerySql() in db/index.js).
+ */
+
+export const SEARCH_FILTERS = ['tool', 'project', 'tag', 'role', 'after', 'before', 'has'];
+
+// Search scope -> messages_fts columns (null: every column)
+export const SEARCH_SCOPES = {
+  messages: ['content'],
+  thinking: ['thinking'],
+  tools: ['tool_input', 'tool_output'],
+  all: null
+};
+
+const ROLES = ['user', 'assistant'];
+const HAS_VALUES = ['thinking', 'tools', 'errors', 'tags'];
+
+// A term without a letter or digit has no tokens to search for
+const SEARCHABLE = /[\p{L}\p{N}]/u;
+
+// Read a double-quoted string starting at input[start] (the opening quote)
+function readQuoted(input, start) {
+  const end = input.indexOf('"', start + 1);
+  if (end === -1) {
+    return { error: `Unclosed quote at position ${start + 1}` };
+  }
+  return { text: input.slice(start + 1, end), end: end + 1 };
+}
+
+// Read up to the next whitespace
+function readWord(input, start) {
+  const match = /^\S*/.exec(input.slice(start));
+  return { text: match[0], end: start + match[0].length };
+}
+
+/**
+ * Check and normalize a filter's values
+ * @returns {{ value: Object } | { error: string }}
+ */
+function parseFilter(field, raw, negate) {
+  const values = raw.split(',').map(value => value.trim()).filter(Boolean);
+  if (values.length === 0) {
+    return { error: `${field}: needs a value` };
+  }
+
+  if (field === 'after' || field === 'before') {
+    if (negate) {
+      return { error: `${field}: can't be negated (use ${field === 'after' ? 'before' : 'after'}:)` };
+    }
+    const day = values[0];
+    const date = new Date(day + 'T00:00:00Z');
+    if (values.length > 1 || !/^\d{4}-\d{2}-\d{2}$/.test(day) ||
+        isNaN(date) || date.toISOString().slice(0, 10) !== day) {
+      return { error: `${field}: needs a date like 2025-06-01` };
+    }
+  }
+  if (field === 'role') {
+    const invalid = values.find(value => !ROLES.includes(value.toLowerCase()));
+    if (invalid) return { error: `Unknown role "${invalid}" (use ${ROLES.join(' or ')})` };
+  }
+  if (field === 'has') {
+    const invalid = values.find(value => !HAS_VALUES.includes(value.toLowerCase()));
+    if (invalid) return { error: `Unknown has: value "${invalid}" (use ${HAS_VALUES.join(', ')})` };
+  }
+
+  const caseless = field !== 'after' && field !== 'before';
+  return { value: { field, values: caseless ? values.map(value => value.toLowerCase()) : values, negate } };
+}
+
+/**
+ * Parse a search query
+ * @param {string} input - What was typed in the search box
+ * @returns {{ value: Object } | { error: string }} value is
+ *   { groups: [[term]], exclude: [term], filters: [{ field, values, negate }] }
+ *   where term is { text, phrase } and groups are ORed lists of ANDed terms
+ */
+export function parseSearchQuery(input) {
+  const groups = [[]];
+  const exclude = [];
+  const filters = [];
+  // What came before: 'term' (a positive word or phrase), 'or' or 'other'
+  let last = null;
+
+  let i = 0;
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    const negate = input[i] === '-' && i + 1 < input.length && !/\s/.test(input[i + 1]);
+    if (negate) i++;
+
+    // field:value, where value may be quoted
+    const field = /^([a-z]+):(?!\/\/)/i.exec(input.slice(i));
+    if (field) {
+      const name = field[1].toLowerCase();
+      if (!SEARCH_FILTERS.includes(name)) {
+        return { error: `Unknown filter "${field[1]}:" (use ${SEARCH_FILTERS.map(f => f + ':').join(', ')}, or quote it to search for it)` };
+      }
+      const valueStart = i + field[0].length;
+      const read = input[valueStart] === '"' ? readQuoted(input, valueStart) : readWord(input, valueStart);
+      if (read.error) return read;
+
+      const filter = parseFilter(name, read.text, negate);
+      if (filter.error) return filter;
+      if (last === 'or') {
+        return { error: 'OR joins words and phrases, not filters' };
+      }
+      filters.push(filter.value);
+      last = 'other';
+      i = read.end;
+      continue;
+    }
+
+    const phrase = input[i] === '"';
+    const read = phrase ? readQuoted(input, i) : readWord(input, i);
+    if (read.error) return read;
+    i = read.end;
+
+    if (!phrase && !negate && read.text === 'OR') {
+      if (last !== 'term') {
+        return { error: `OR at position ${start + 1} needs a word or phrase before it` };
+      }
+      groups.push([]);
+      last = 'or';
+      continue;
+    }
+
+    const text = phrase ? read.text.trim() : read.text.replace(/['"]/g, '');
+    if (!SEARCHABLE.test(text)) {
+      if (phrase) return { error: `Empty phrase at position ${start + 1}` };
+      continue;
+    }
+
+    const term = { text, phrase };
+    if (negate) {
+      if (last === 'or') {
+        return { error: 'OR needs a word or phrase after it, not an exclusion' };
+      }
+      exclude.push(term);
+      last = 'other';
+    } else {
+      groups[groups.length - 1].push(term);
+      last = 'term';
+    }
+  }
+
+  if (last === 'or') {
+    return { error: 'OR needs a word or phrase after it' };
+  }
+  const terms = groups[0].length > 0 ? groups : [];
+  if (exclude.length > 0 && terms.length === 0) {
+    return { error: 'Exclusions need something to search for, like: api -legacy' };
+  }
+
+  return { value: { groups: terms, exclude, filters } };
+}
+
+// FTS5 syntax for a term: phrases as typed, words prefix-matched
+function ftsTerm(term) {
+  const quoted = `"${term.text.replace(/"/g, '""')}"`;
+  return term.phrase ? quoted : `${quoted}*`;
+}
+
+/**
+ * The full-text part of a parsed query as an FTS5 MATCH expression
+ * @param {Object} query - parseSearchQuery() value
+ * @param {string} scope - A SEARCH_SCOPES key (a column filter on the whole expression)
+ * @returns {string|null} null when the query only has filters
+ */
+export function toFtsQuery(query, scope = 'all') {
+  if (query.groups.length === 0) return null;
+
+  const groups = query.groups.map(group => group.map(ftsTerm).join(' '));
+  let match = groups.length > 1 ? groups.map(group => `(${group})`).join(' OR ') : groups[0];
+  for (const term of query.exclude) {
+    match = `(${match}) NOT ${ftsTerm(term)}`;
+  }
+  const columns = SEARCH_SCOPES[scope];
+  return columns ? `{${columns.join(' ')}} : (${match})` : match;
+}
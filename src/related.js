@@ -0,0 +1,153 @@
+/**
+ * Related Sessions
+ *
+ * Finds sessions about the same thing as another one, offline: each
+ * session's messages are reduced to term counts (see extractTerms), stored
+ * when the session is imported, and a session's most distinctive terms are
+ * looked up in the others with BM25 weighting. Terms that most sessions use
+ * ("error", "function") count for little, rare ones shared by two sessions
+ * ("pgbouncer", "flaky") for a lot, so sessions that describe the same
+ * problem in different sentences still find each other.
+ */
+
+// Terms kept per session (the most frequent ones)
+export const TERMS_PER_SESSION = 300;
+
+// Terms of a session looked up in the others
+const KEY_TERMS = 30;
+
+// BM25 parameters: term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Shared terms a session needs to count as related
+const MIN_SHARED_TERMS = 2;
+
+const STOPWORDS = new Set(`
+  about above after again against all also although always among and another any anything are
+  around because been before being below between both but can cannot could did does doing done
+  down during each either else even ever every few for from further get gets getting give given
+  goes going got had has have having her here hers herself him himself his how however into its
+  itself just least less let lets like likely made make makes making many may maybe might mine
+  more most much must myself near need needs never new next nor not nothing now off often once
+  one only onto other others our ours ourselves out over own per perhaps please quite rather
+  really said same see seem seems shall she should since some something sometimes still such
+  sure take than that the their theirs them themselves then there these they thing things this
+  those though through thus too under until upon use used uses using very want wants was way
+  well were what whatever when where whether which while who whom whose why will with within
+  without would yes yet you your yours yourself yourselves okay thanks thank great good right
+  first last instead actually already currently look looks looking let's i'm it's
+  don't doesn't didn't can't won't isn't aren't wasn't that's there's here's you're we're
+  i've you've we've i'll you'll we'll i'd you'd
+`.trim().split(/\s+/));
+
+// Placeholders left by secret masking (***REDACTED***, sk-***API_KEY***)
+const MASK_PLACEHOLDER = /\*\*\*[A-Z_]+\*\*\*/g;
+
+const WORD = /[\p{L}\p{N}][\p{L}\p{N}_']*/gu;
+
+// Plural and possessive endings, so "migrations" and "migration" meet
+function normalizeTerm(word) {
+  let term = word.toLowerCase().replace(/'s?$/, '');
+  if (term.length > 4 && term.endsWith('ies')) {
+    term = term.slice(0, -3) + 'y';
+  } else if (term.length > 4 && term.endsWith('s') && !/(ss|us|is)$/.test(term)) {
+    term = term.slice(0, -1);
+  }
+  return term;
+}
+
+// Ids, hashes, timestamps and other strings that only look like words
+function isNoise(term) {
+  if (term.length < 3 || term.length > 30) return true;
+  if (STOPWORDS.has(term)) return true;
+  if ((term.match(/\d/g) || []).length > 3) return true;
+  return /^[\d_]+$/.test(term) || /^[0-9a-f]{8,}$/.test(term);
+}
+
+/**
+ * Count the terms of some text
+ * @param {string} text - Message text (secrets already masked)
+ * @param {Map} counts - Counts to add to (term -> count)
+ * @returns {Map} counts
+ */
+export function extractTerms(text, counts = new Map()) {
+  if (!text) return counts;
+  for (const [word] of text.replace(MASK_PLACEHOLDER, ' ').matchAll(WORD)) {
+    if (STOPWORDS.has(word.toLowerCase())) continue;
+    const term = normalizeTerm(word);
+    if (isNoise(term)) continue;
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * A session's most frequent terms, to store
+ * @param {Map} counts - term -> count
+ * @returns {Array} { term, count }, at most TERMS_PER_SESSION
+ */
+export function topTerms(counts) {
+  return [...counts]
+    .map(([term, count]) => ({ term, count }))
+    .sort((a, b) => b.count - a.count || a.term.localeCompare(b.term))
+    .slice(0, TERMS_PER_SESSION);
+}
+
+/**
+ * The terms that set a session apart: frequent in it, rare elsewhere.
+ * Terms no other session has can't relate it to anything and are left out
+ * @param {Array} terms - The session's { term, count }
+ * @param {Map} documentFrequency - term -> sessions that have it (this one included)
+ * @param {number} sessionCount - Sessions with terms
+ * @returns {Array} { term, weight }, highest weight first
+ */
+export function pickKeyTerms(terms, documentFrequency, sessionCount) {
+  return terms
+    .filter(({ term }) => (documentFrequency.get(term) || 0) >= 2)
+    .map(({ term, count }) => {
+      const df = documentFrequency.get(term);
+      const idf = Math.log(1 + (sessionCount - df + 0.5) / (df + 0.5));
+      return { term, weight: (1 + Math.log(count)) * idf };
+    })
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, KEY_TERMS);
+}
+
+/**
+ * Score other sessions against a session's key terms (BM25)
+ * @param {Array} keyTerms - pickKeyTerms() result
+ * @param {Array} candidates - { session_id, term, count, length } rows of
+ *   other sessions for the key terms (length: terms counted in the session)
+ * @param {number} averageLength - Average session length
+ * @param {number} limit - Sessions to return
+ * @returns {Array} { session_id, score, terms } best first; terms are the
+ *   shared key terms, the most telling first
+ */
+export function scoreRelatedSessions(keyTerms, candidates, averageLength, limit = 5) {
+  const weights = new Map(keyTerms.map(({ term, weight }) => [term, weight]));
+  const sessions = new Map();
+
+  for (const row of candidates) {
+    const weight = weights.get(row.term);
+    if (!weight) continue;
+    const norm = K1 * (1 - B + B * row.length / (averageLength || 1));
+    const contribution = weight * row.count * (K1 + 1) / (row.count + norm);
+    if (!sessions.has(row.session_id)) {
+      sessions.set(row.session_id, { session_id: row.session_id, score: 0, terms: [] });
+    }
+    const session = sessions.get(row.session_id);
+    session.score += contribution;
+    session.terms.push({ term: row.term, contribution });
+  }
+
+  return [...sessions.values()]
+    .filter(session => session.terms.length >= MIN_SHARED_TERMS)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(session => ({
+      session_id: session.session_id,
+      score: Math.round(session.score * 100) / 100,
+      terms: session.terms.sort((a, b) => b.contribution - a.contribution).map(({ term }) => term)
+    }));
+}
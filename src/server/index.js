@@ -21,7 +21,7 @@ import open from 'open';
 import expressEjsLayouts from 'express-ejs-layouts';
 import { setupRoutes } from './routes.js';
 import { setupViewRoutes } from './viewRoutes.js';
-import { startWatcher } from './watcher.js';
+import { startWatcher, refreshTermsInBackground } from './watcher.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT_DIR = join(__dirname, '..', '..');
@@ -72,6 +72,9 @@ export async function startServer(options = {}) {
     if (openBrowser) {
       open(`http://localhost:${port}`);
     }
+
+    // Terms of the sessions just imported (and any left stale before)
+    refreshTermsInBackground();
   });
 
   // Start file watcher for new sessions
@@ -2,10 +2,14 @@
  * API Routes for Vibecoding Chronicle
  *
  * Handles all REST API endpoints for the application:
- * - Sessions: List, get details, search with full-text
+ * - Sessions: List, get details, search with full-text, archive, delete
+ * - Search: Matching messages with highlighted snippets, best first
  * - Stars/Tags: Add, remove, list tags on messages
  * - Tags: CRUD operations for tag definitions
- * - Stats: Aggregate statistics
+ * - Stats: Aggregate statistics, token usage and estimated cost
+ * - Imports: Per-file import log (why a session is missing)
+ * - Prompts: Prompt history, searchable even when the transcript is gone
+ * - Secrets: Audit of credentials found in stored messages (JSON/CSV export)
  *
  * All data is stored locally in SQLite. Input validation
  * is applied to prevent injection and limit abuse.
@@ -16,7 +20,8 @@ const LIMITS = {
   TAG_ID: 50,
   TAG_LABEL: 100,
   NOTE: 500,
-  SEARCH_QUERY: 200
+  SEARCH_QUERY: 200,
+  SESSION_IDS: 1000
 };
 
 /**
@@ -36,11 +41,59 @@ function validateString(value, maxLength, fieldName) {
   return { value: trimmed };
 }
 
+/**
+ * Validate and parse a search query (see src/query.js)
+ * @returns {{ value: Object|null } | { error: string }} null when shorter than 3 characters
+ */
+function validateSearchQuery(value) {
+  const validation = validateString(value, LIMITS.SEARCH_QUERY, 'Search query');
+  if (validation.error) return validation;
+  if (validation.value.length < 3) return { value: null };
+  return parseSearchQuery(validation.value);
+}
+
+/**
+ * Validate a search scope (which message fields are searched)
+ */
+function validateSearchScope(value) {
+  const scope = value || 'messages';
+  if (!Object.hasOwn(SEARCH_SCOPES, scope)) {
+    return { error: `scope must be one of ${Object.keys(SEARCH_SCOPES).join(', ')}` };
+  }
+  return { value: scope };
+}
+
+/**
+ * A repeatable query param as a list of non-empty strings
+ */
+function queryList(value) {
+  return [].concat(value ?? []).filter(item => typeof item === 'string' && item.length > 0);
+}
+
+/**
+ * Validate a list of session IDs (bulk actions)
+ */
+function validateSessionIds(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return { error: 'ids must be a non-empty array' };
+  }
+  if (value.length > LIMITS.SESSION_IDS) {
+    return { error: `ids exceeds maximum of ${LIMITS.SESSION_IDS} sessions` };
+  }
+  if (!value.every(id => typeof id === 'string' && id.length > 0)) {
+    return { error: 'ids must be strings' };
+  }
+  return { value };
+}
+
 import {
   getAllSessions,
   getSessionsCount,
   getSession,
-  getMessages,
+  getMessageOutline,
+  getMessagePage,
+  getMessage,
+  getRelatedSessions,
   getStarsForSession,
   getAllStars,
   addTag,
@@ -54,12 +107,77 @@ import {
   createTag,
   updateTag,
   deleteTag,
-  getSessionTagCounts,
-  searchMessages
+  listSessions,
+  listSessionIds,
+  countSessions,
+  getSessionFacets,
+  getArchivedSessionsCount,
+  SESSION_SORT_ORDERS,
+  getImportLog,
+  getImportSummary,
+  getPrompts,
+  getPromptCounts,
+  getUsage,
+  getSessionUsage,
+  findStoredSecrets,
+  archiveSessions,
+  deleteSessions,
+  searchMessageHits,
+  SNIPPET_START,
+  SNIPPET_END
 } from '../db/index.js';
+import { getPriceTable, summarizeUsage, summarizeUsageBy } from '../pricing.js';
+import { parseSearchQuery, SEARCH_SCOPES } from '../query.js';
 import { maskSecrets } from '../importers/utils.js';
+import { buildSecretAudit, secretAuditToCsv, isMaskOnImport } from '../secrets.js';
 import { getToolsForFrontend } from '../tools.config.js';
 
+/**
+ * Models of a session, stored as a JSON array
+ */
+function parseModels(value) {
+  try {
+    const models = JSON.parse(value || '[]');
+    return Array.isArray(models) ? models : [];
+  } catch {
+    return [];
+  }
+}
+
+// Tool output longer than this is cut in message pages; the full output is
+// fetched on demand
+const TOOL_OUTPUT_PREVIEW = 4000;
+
+/**
+ * A message with secrets masked and a long tool output cut to a preview
+ * (tool_output_length then holds the full length)
+ */
+function maskMessage(message, { full = false } = {}) {
+  const masked = {
+    ...message,
+    content: maskSecrets(message.content),
+    thinking: maskSecrets(message.thinking),
+    tool_input: maskSecrets(message.tool_input),
+    tool_output: maskSecrets(message.tool_output)
+  };
+  if (!full && masked.tool_output?.length > TOOL_OUTPUT_PREVIEW) {
+    masked.tool_output_length = masked.tool_output.length;
+    masked.tool_output = masked.tool_output.slice(0, TOOL_OUTPUT_PREVIEW);
+  }
+  return masked;
+}
+
+/**
+ * Mask secrets in a search snippet. A secret can straddle the highlight
+ * markers and slip past the patterns, so when masking the plain text changes
+ * anything the snippet is returned masked and without highlights
+ */
+function maskSnippet(snippet) {
+  const plain = snippet.split(SNIPPET_START).join('').split(SNIPPET_END).join('');
+  const masked = maskSecrets(plain);
+  return masked === plain ? snippet : masked;
+}
+
 /**
  * Setup all API routes
  */
@@ -85,91 +203,109 @@ export function setupRoutes(app) {
 
   /**
    * GET /api/sessions
-   * List all sessions with sidebar counts
-   * Query params: q (search query, min 3 chars)
+   * One page of sessions, filtered and sorted, with sidebar counts (facets)
+   * Query params: q (search query with filters, min 3 chars, see src/query.js;
+   *   400 with the syntax error), scope (messages, thinking, tools or all),
+   *   archived (1: include archived sessions), from, to (YYYY-MM-DD, inclusive),
+   *   tool, project, tag, branch, label, model (repeatable: any of them),
+   *   sort (newest, oldest, longest or tagged), limit (default 50, max 200),
+   *   cursor (nextCursor of the previous page), idsOnly (1: just the ids of
+   *   every matching session, for bulk selection)
    */
   app.get('/api/sessions', (req, res) => {
     try {
-      // Load all sessions (filtering/pagination done client-side)
-      const sessions = getAllSessions({ limit: 100000, offset: 0 });
-      const totalCount = sessions.length;
-
-      // Get tag counts per session
-      const tagCounts = getSessionTagCounts();
-      const tagCountMap = {};
-      for (const tc of tagCounts) {
-        tagCountMap[tc.session_id] = tc.tag_count;
+      let query = null;
+      if (req.query.q) {
+        const validation = validateSearchQuery(req.query.q);
+        if (validation.error) return res.status(400).json({ error: validation.error });
+        query = validation.value;
       }
+      const scopeValidation = validateSearchScope(req.query.scope);
+      if (scopeValidation.error) return res.status(400).json({ error: scopeValidation.error });
 
-      // Add tag_count to each session
-      for (const session of sessions) {
-        session.tag_count = tagCountMap[session.id] || 0;
+      const sort = req.query.sort || 'newest';
+      if (!SESSION_SORT_ORDERS.includes(sort)) {
+        return res.status(400).json({ error: `sort must be one of ${SESSION_SORT_ORDERS.join(', ')}` });
+      }
+      for (const param of ['from', 'to']) {
+        if (req.query[param] && !/^\d{4}-\d{2}-\d{2}$/.test(req.query[param])) {
+          return res.status(400).json({ error: `${param} must be a date like 2025-06-01` });
+        }
       }
 
-      // Calculate sidebar counts from ALL sessions
-      const today = new Date().toISOString().split('T')[0];
-      const yesterday = new Date(Date.now() - 86400000).toISOString().split('T')[0];
-      const last7Date = new Date(Date.now() - 6 * 86400000).toISOString().split('T')[0];
-      const last30Date = new Date(Date.now() - 29 * 86400000).toISOString().split('T')[0];
-      const thisMonthDate = new Date().toISOString().slice(0, 7) + '-01';
-
-      const sidebarCounts = {
-        dateCounts: { today: 0, yesterday: 0, last7: 0, last30: 0, thisMonth: 0 },
-        toolCounts: {},
-        projectCounts: {}
+      const options = {
+        query,
+        scope: scopeValidation.value,
+        archived: req.query.archived === '1',
+        from: req.query.from || null,
+        to: req.query.to || null,
+        tools: queryList(req.query.tool),
+        projects: queryList(req.query.project),
+        tags: queryList(req.query.tag),
+        branches: queryList(req.query.branch),
+        labels: queryList(req.query.label),
+        models: queryList(req.query.model)
       };
 
-      for (const s of sessions) {
-        const date = s.started_at?.split('T')[0];
-        if (date) {
-          if (date === today) sidebarCounts.dateCounts.today++;
-          if (date === yesterday) sidebarCounts.dateCounts.yesterday++;
-          if (date >= last7Date && date <= today) sidebarCounts.dateCounts.last7++;
-          if (date >= last30Date && date <= today) sidebarCounts.dateCounts.last30++;
-          if (date >= thisMonthDate && date <= today) sidebarCounts.dateCounts.thisMonth++;
-        }
-        // Tool counts
-        const tool = s.tool || 'claude';
-        sidebarCounts.toolCounts[tool] = (sidebarCounts.toolCounts[tool] || 0) + 1;
-        // Project counts
-        const project = s.project || 'unknown';
-        sidebarCounts.projectCounts[project] = (sidebarCounts.projectCounts[project] || 0) + 1;
+      if (req.query.idsOnly === '1') {
+        return res.json({ ids: listSessionIds(options) });
       }
 
-      // Full-text search in messages + summary/project (server-side for FTS)
-      let filtered = sessions;
-      if (req.query.q && req.query.q.trim().length >= 3) {
-        const query = req.query.q.trim().toLowerCase();
-
-        // Get session IDs that have matching messages (FTS)
-        const ftsResults = searchMessages(query);
-        const ftsSessionIds = new Set(ftsResults.map(r => r.session_id));
-
-        // Filter: match in messages (FTS) OR in summary/project
-        filtered = filtered.filter(s =>
-          ftsSessionIds.has(s.id) ||
-          s.summary?.toLowerCase().includes(query) ||
-          s.project?.toLowerCase().includes(query)
-        );
+      let page;
+      try {
+        page = listSessions({
+          ...options,
+          sort,
+          limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200),
+          cursor: req.query.cursor || null
+        });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
       }
 
-      // Group by date for UI
-      const byDate = {};
-      for (const session of filtered) {
-        if (session.started_at) {
-          const date = session.started_at.split('T')[0];
-          if (!byDate[date]) byDate[date] = [];
-          byDate[date].push(session);
-        }
+      // Models, tokens and estimated cost of the sessions on this page
+      const usageMap = summarizeUsageBy(getUsage('session', { sessionIds: page.sessions.map(s => s.id) }));
+      const sessions = page.sessions.map(session => ({
+        ...session,
+        models: parseModels(session.models),
+        total_tokens: usageMap[session.id]?.total_tokens || 0,
+        cost: usageMap[session.id]?.cost || 0
+      }));
+
+      // Sidebar counts, each under the other filters. Days roll up into the
+      // date presets
+      const facets = getSessionFacets(options);
+      const today = new Date().toISOString().split('T')[0];
+      const yesterday = new Date(Date.now() - 86400000).toISOString().split('T')[0];
+      const last7Date = new Date(Date.now() - 6 * 86400000).toISOString().split('T')[0];
+      const last30Date = new Date(Date.now() - 29 * 86400000).toISOString().split('T')[0];
+      const thisMonthDate = new Date().toISOString().slice(0, 7) + '-01';
+
+      const dates = { today: 0, yesterday: 0, last7: 0, last30: 0, thisMonth: 0 };
+      for (const { name: date, count } of facets.days) {
+        if (date === today) dates.today += count;
+        if (date === yesterday) dates.yesterday += count;
+        if (date >= last7Date && date <= today) dates.last7 += count;
+        if (date >= last30Date && date <= today) dates.last30 += count;
+        if (date >= thisMonthDate && date <= today) dates.thisMonth += count;
       }
 
+      const { total, projects } = countSessions(options);
       res.json({
-        sessions: filtered,
-        byDate,
-        sidebarCounts,
+        sessions,
+        nextCursor: page.nextCursor,
+        facets: {
+          dates,
+          tools: Object.fromEntries(facets.tools.map(({ name, count }) => [name, count])),
+          projects: facets.projects,
+          branches: facets.branches,
+          labels: facets.labels,
+          models: facets.models
+        },
         meta: {
-          total: filtered.length,
-          totalAll: totalCount
+          total,
+          projects,
+          archived: getArchivedSessionsCount()
         }
       });
     } catch (error) {
@@ -178,9 +314,48 @@ export function setupRoutes(app) {
     }
   });
 
+  /**
+   * POST /api/sessions/archive
+   * Archive sessions (hidden from the list by default) or unarchive them
+   * Body: { ids: [sessionId, ...], archived: true|false }
+   */
+  app.post('/api/sessions/archive', (req, res) => {
+    try {
+      const validation = validateSessionIds(req.body?.ids);
+      if (validation.error) return res.status(400).json({ error: validation.error });
+
+      const updated = archiveSessions(validation.value, req.body.archived !== false);
+      res.json({ success: true, updated });
+    } catch (error) {
+      console.error('Error archiving sessions:', error);
+      res.status(500).json({ error: 'Failed to archive sessions' });
+    }
+  });
+
+  /**
+   * POST /api/sessions/delete
+   * Permanently delete sessions with their messages and tags. They are
+   * remembered, so a re-import doesn't bring them back
+   * Body: { ids: [sessionId, ...] }
+   */
+  app.post('/api/sessions/delete', (req, res) => {
+    try {
+      const validation = validateSessionIds(req.body?.ids);
+      if (validation.error) return res.status(400).json({ error: validation.error });
+
+      const deleted = deleteSessions(validation.value);
+      res.json({ success: true, deleted });
+    } catch (error) {
+      console.error('Error deleting sessions:', error);
+      res.status(500).json({ error: 'Failed to delete sessions' });
+    }
+  });
+
   /**
    * GET /api/sessions/:id
-   * Get a single session with all messages
+   * Get a single session with the outline of its messages (ids, types and
+   * conversation tree links; the text is loaded in pages from
+   * /api/sessions/:id/messages), tags and token usage
    */
   app.get('/api/sessions/:id', (req, res) => {
     try {
@@ -190,12 +365,10 @@ export function setupRoutes(app) {
         return res.status(404).json({ error: 'Session not found' });
       }
 
-      // Get messages and mask secrets
-      const messages = getMessages(req.params.id).map(msg => ({
-        ...msg,
-        content: maskSecrets(msg.content),
-        thinking: maskSecrets(msg.thinking),
-        tool_output: maskSecrets(msg.tool_output)
+      const outline = getMessageOutline(req.params.id).map(row => ({
+        ...row,
+        content: maskSecrets(row.content),
+        tool_input: maskSecrets(row.tool_input)
       }));
 
       // Get stars/tags for this session (multiple per message)
@@ -208,10 +381,19 @@ export function setupRoutes(app) {
         starsMap[star.message_id].push(star.tag);
       }
 
+      // Tokens and estimated cost, in total and per model
+      const prices = getPriceTable();
+      const usageRows = getSessionUsage(req.params.id);
+      const usage = {
+        ...summarizeUsage(usageRows, prices),
+        byModel: usageRows.map(row => ({ model: row.model, ...summarizeUsage([row], prices) }))
+      };
+
       res.json({
-        session,
-        messages,
-        stars: starsMap
+        session: { ...session, models: parseModels(session.models) },
+        outline,
+        stars: starsMap,
+        usage
       });
     } catch (error) {
       console.error('Error fetching session:', error);
@@ -219,6 +401,82 @@ export function setupRoutes(app) {
     }
   });
 
+  /**
+   * GET /api/sessions/:id/messages
+   * A page of a session's messages, secrets masked and tool outputs over
+   * 4000 characters cut (see tool_output_length)
+   * Query params: from, to (position range, inclusive) or around (a message
+   *   id: the page holds it and about half the page before it), limit
+   *   (default 100, max 500)
+   */
+  app.get('/api/sessions/:id/messages', (req, res) => {
+    try {
+      if (!getSession(req.params.id)) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      for (const param of ['from', 'to']) {
+        if (req.query[param] !== undefined && !/^\d+$/.test(req.query[param])) {
+          return res.status(400).json({ error: `${param} must be a message position` });
+        }
+      }
+
+      const messages = getMessagePage(req.params.id, {
+        from: parseInt(req.query.from) || 0,
+        to: req.query.to !== undefined ? parseInt(req.query.to) : null,
+        around: req.query.around || null,
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500)
+      });
+      if (!messages) {
+        return res.status(404).json({ error: 'Message not found' });
+      }
+
+      res.json({ messages: messages.map(message => maskMessage(message)) });
+    } catch (error) {
+      console.error('Error fetching messages:', error);
+      res.status(500).json({ error: 'Failed to fetch messages' });
+    }
+  });
+
+  /**
+   * GET /api/sessions/:id/messages/:messageId
+   * One message in full (untruncated tool output), secrets masked
+   */
+  app.get('/api/sessions/:id/messages/:messageId', (req, res) => {
+    try {
+      const message = getMessage(req.params.id, req.params.messageId);
+      if (!message) {
+        return res.status(404).json({ error: 'Message not found' });
+      }
+      res.json({ message: maskMessage(message, { full: true }) });
+    } catch (error) {
+      console.error('Error fetching message:', error);
+      res.status(500).json({ error: 'Failed to fetch message' });
+    }
+  });
+
+  /**
+   * GET /api/sessions/:id/related
+   * Sessions about the same thing, by the distinctive terms they share
+   * (computed locally, see src/related.js), with those terms
+   * Query params: limit (default 5, max 20)
+   */
+  app.get('/api/sessions/:id/related', (req, res) => {
+    try {
+      if (!getSession(req.params.id)) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
+      const related = getRelatedSessions(req.params.id, { limit }).map(session => ({
+        ...session,
+        summary: maskSecrets(session.summary)
+      }));
+      res.json({ related });
+    } catch (error) {
+      console.error('Error finding related sessions:', error);
+      res.status(500).json({ error: 'Failed to find related sessions' });
+    }
+  });
+
 
   // ============ STARS ============
 
@@ -457,7 +715,8 @@ export function setupRoutes(app) {
 
   /**
    * GET /api/stats
-   * Get overall statistics
+   * Get overall statistics, with token usage and estimated cost in total and
+   * per project, day and model (most expensive projects and models first)
    */
   app.get('/api/stats', (req, res) => {
     try {
@@ -474,11 +733,29 @@ export function setupRoutes(app) {
         projectCounts[s.project] = (projectCounts[s.project] || 0) + 1;
       }
 
+      const prices = getPriceTable();
+      const byProjectUsage = Object.entries(summarizeUsageBy(getUsage('project'), prices))
+        .map(([project, usage]) => ({ project: project || 'unknown', ...usage }))
+        .sort((a, b) => b.cost - a.cost || b.total_tokens - a.total_tokens);
+      const byDayUsage = Object.entries(summarizeUsageBy(getUsage('day'), prices))
+        .map(([day, usage]) => ({ day: day || null, ...usage }))
+        .sort((a, b) => (a.day || '').localeCompare(b.day || ''));
+
+      // Per model across all sessions (getUsage rows are per session and model)
+      const modelRows = getUsage('session').map(row => ({ ...row, key: row.model }));
+      const byModelUsage = Object.entries(summarizeUsageBy(modelRows, prices))
+        .map(([model, usage]) => ({ model: model || 'unknown', ...usage }))
+        .sort((a, b) => b.cost - a.cost || b.total_tokens - a.total_tokens);
+
       res.json({
         totalSessions: sessions.length,
         totalStars: stars.length,
         byTool: toolCounts,
-        byProject: projectCounts
+        byProject: projectCounts,
+        usage: summarizeUsage(modelRows, prices),
+        byProjectUsage,
+        byDayUsage,
+        byModelUsage
       });
     } catch (error) {
       console.error('Error fetching stats:', error);
@@ -487,4 +764,159 @@ export function setupRoutes(app) {
   });
 
 
+  // ============ IMPORTS ============
+
+  /**
+   * GET /api/imports
+   * Per-file outcome of the last import, problems first
+   * Query params: status (imported|skipped|empty|parse_errors|failed|problems), tool, limit
+   */
+  app.get('/api/imports', (req, res) => {
+    try {
+      const { status, tool } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 500, 5000);
+
+      const byStatus = {};
+      const byTool = {};
+      for (const row of getImportSummary()) {
+        byStatus[row.status] = (byStatus[row.status] || 0) + row.count;
+        byTool[row.tool] = byTool[row.tool] || {};
+        byTool[row.tool][row.status] = row.count;
+      }
+
+      res.json({
+        imports: getImportLog({ status, tool, limit }),
+        summary: { byStatus, byTool }
+      });
+    } catch (error) {
+      console.error('Error fetching imports:', error);
+      res.status(500).json({ error: 'Failed to fetch imports' });
+    }
+  });
+
+
+  // ============ PROMPTS ============
+
+  /**
+   * GET /api/prompts
+   * Prompt history, newest first, with per-tool and per-project counts
+   * Query params: q (full-text, min 3 chars), tool, project, orphaned (1 = only
+   * prompts whose session isn't imported), limit, offset
+   */
+  app.get('/api/prompts', (req, res) => {
+    try {
+      const { tool, project } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+      let query = null;
+      if (req.query.q) {
+        const validation = validateSearchQuery(req.query.q);
+        if (validation.error) return res.status(400).json({ error: validation.error });
+        query = validation.value;
+        if (query?.filters.length > 0) {
+          return res.status(400).json({ error: 'Filters like tool: only apply to sessions, use the filters beside the list' });
+        }
+      }
+
+      const { prompts, total } = getPrompts({
+        query,
+        tool: tool || null,
+        project: project || null,
+        orphaned: req.query.orphaned === '1',
+        limit,
+        offset
+      });
+
+      res.json({
+        prompts: prompts.map(prompt => ({
+          ...prompt,
+          text: maskSecrets(prompt.text),
+          has_session: !!prompt.has_session
+        })),
+        counts: getPromptCounts(),
+        meta: { total, limit, offset }
+      });
+    } catch (error) {
+      console.error('Error fetching prompts:', error);
+      res.status(500).json({ error: 'Failed to fetch prompts' });
+    }
+  });
+
+  // ============ SEARCH ============
+
+  /**
+   * GET /api/search
+   * Messages matching a full-text search, grouped by session, with snippets
+   * whose matched terms sit between \u0002 and \u0003 (escape the text, then
+   * turn those into highlights)
+   * Query params: q (search query, min 3 chars), scope (messages, thinking,
+   *   tools or all), perSession (hits per session, default 3, max 20)
+   */
+  app.get('/api/search', (req, res) => {
+    try {
+      const validation = validateSearchQuery(req.query.q ?? '');
+      if (validation.error) return res.status(400).json({ error: validation.error });
+      if (!validation.value) {
+        return res.status(400).json({ error: 'Search query must be at least 3 characters' });
+      }
+      const scopeValidation = validateSearchScope(req.query.scope);
+      if (scopeValidation.error) return res.status(400).json({ error: scopeValidation.error });
+      const perSession = Math.min(Math.max(parseInt(req.query.perSession) || 3, 1), 20);
+
+      // session id -> { total: matching messages, hits: the best ones }
+      const sessions = {};
+      for (const hit of searchMessageHits(validation.value, { perSession, scope: scopeValidation.value })) {
+        const { session_id, session_hits, ...message } = hit;
+        sessions[session_id] ||= { total: session_hits, hits: [] };
+        sessions[session_id].hits.push({ ...message, snippet: maskSnippet(message.snippet) });
+      }
+      const hits = Object.values(sessions).reduce((sum, session) => sum + session.total, 0);
+
+      res.json({
+        sessions,
+        meta: { query: req.query.q.trim(), scope: scopeValidation.value, sessions: Object.keys(sessions).length, hits }
+      });
+    } catch (error) {
+      console.error('Error searching messages:', error);
+      res.status(500).json({ error: 'Failed to search messages' });
+    }
+  });
+
+  // ============ SECRETS ============
+
+  /**
+   * GET /api/secrets/audit
+   * Secrets found in stored messages, grouped by value (fingerprint and
+   * preview only, never the secret itself)
+   * Query params: format (json or csv: download the report as a file)
+   */
+  app.get('/api/secrets/audit', (req, res) => {
+    try {
+      const { format } = req.query;
+      if (format && !['json', 'csv'].includes(format)) {
+        return res.status(400).json({ error: 'format must be json or csv' });
+      }
+
+      const { hits, scanned, messages } = findStoredSecrets();
+      const secrets = buildSecretAudit(hits);
+      const filename = `chronicle-secrets-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+      if (format === 'csv') {
+        res.attachment(filename);
+        return res.type('text/csv').send(secretAuditToCsv(secrets));
+      }
+      if (format === 'json') {
+        res.attachment(filename);
+      }
+      res.json({
+        secrets,
+        meta: { scanned, messages, hits: hits.length, maskOnImport: isMaskOnImport() }
+      });
+    } catch (error) {
+      console.error('Error auditing secrets:', error);
+      res.status(500).json({ error: 'Failed to audit secrets' });
+    }
+  });
+
 }
@@ -7,6 +7,9 @@
  * Pages:
  * - / : Sessions list with filters and pagination
  * - /session/:id : Single session detail with messages
+ * - /prompts : Prompt history (search and filters of its own, no sidebar)
+ * - /usage : Tokens and estimated cost per project, day and model
+ * - /secrets : Secrets found in stored sessions, to know which keys to rotate
  *
  * All pages use views/layout.ejs as the base template
  * with Alpine.js for client-side interactivity.
@@ -16,6 +19,7 @@ import { readFileSync } from 'fs';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
 import { getTagsWithCounts } from '../db/index.js';
+import { getEnabledTools } from '../tools.config.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const pkg = JSON.parse(readFileSync(join(__dirname, '..', '..', 'package.json'), 'utf8'));
@@ -29,7 +33,7 @@ function getCommonData() {
   return {
     tags,
     projects: [],  // Will be loaded via API
-    tools: ['claude', 'codex', 'gemini'],
+    tools: getEnabledTools().map(tool => tool.id),
     appVersion: pkg.version,
     appName: pkg.name
   };
@@ -65,4 +69,40 @@ export function setupViewRoutes(app) {
     });
   });
 
+  /**
+   * GET /prompts - Prompt history
+   */
+  app.get('/prompts', (req, res) => {
+    res.render('pages/prompts', {
+      title: 'Prompt History',
+      currentPage: 'prompts',
+      showSidebar: false,
+      ...getCommonData()
+    });
+  });
+
+  /**
+   * GET /usage - Token usage and cost
+   */
+  app.get('/usage', (req, res) => {
+    res.render('pages/usage', {
+      title: 'Usage',
+      currentPage: 'usage',
+      showSidebar: false,
+      ...getCommonData()
+    });
+  });
+
+  /**
+   * GET /secrets - Secret exposure audit
+   */
+  app.get('/secrets', (req, res) => {
+    res.render('pages/secrets', {
+      title: 'Secrets',
+      currentPage: 'secrets',
+      showSidebar: false,
+      ...getCommonData()
+    });
+  });
+
 }
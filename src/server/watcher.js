@@ -4,38 +4,66 @@
  * Monitors AI assistant directories for new session files
  * and triggers automatic import when changes are detected.
  *
- * Watched paths:
+ * Watched paths (every root of every enabled tool, see getToolRoots() in
+ * tools.config.js; by default):
  * - ~/.claude/projects/ (Claude Code)
  * - ~/.codex/sessions/ (Codex CLI)
  * - ~/.gemini/tmp/ (Gemini CLI)
+ * - the folders of tools added by plugins
+ * - the Aider roots, down to the folders the Aider importer searches
+ * - Cursor's state.vscdb databases
+ * - ~/.claude/history.jsonl and ~/.codex/history.jsonl (prompt history)
+ *
+ * A file counts as a session file when it matches one of its tool's
+ * `watch` globs.
  *
  * Uses chokidar for cross-platform file watching with
  * debouncing to avoid excessive imports during active sessions.
+ *
+ * Terms for related sessions read whole sessions, so they are recomputed at
+ * most every few minutes rather than on every import, in small batches (see
+ * refreshTermsInBackground(), which the server also runs once it starts).
  */
 
 import chokidar from 'chokidar';
-import { homedir } from 'os';
-import { join } from 'path';
-import { importClaudeSessions, importCodexSessions, importGeminiSessions } from '../importers/index.js';
+import { relative, isAbsolute } from 'path';
+import { getEnabledTools, isToolSessionFile, isToolHistoryFile } from '../tools.config.js';
+import { importSessionFiles, getWatchPaths } from '../importers/index.js';
+import { refreshStaleSessionTerms } from '../db/index.js';
 
-// Debounce timer
+// Debounce timer and the files changed since the last import
 let importTimer = null;
+const changedFiles = new Set();
 const DEBOUNCE_MS = 2000;
 
+// The import in progress, and whether changes came in while it ran
+let runningImport = null;
+let importAgain = false;
+
+// Timer for recomputing the terms of the imported sessions, sessions per
+// batch (the server answers requests in between) and whether a refresh runs
+let termsTimer = null;
+const TERMS_REFRESH_MS = 5 * 60 * 1000;
+const TERMS_BATCH_SIZE = 20;
+let refreshingTerms = false;
+
 /**
  * Start watching for new session files
  */
 export function startWatcher() {
-  const watchPaths = [
-    join(homedir(), '.claude', 'projects'),
-    join(homedir(), '.codex', 'sessions'),
-    join(homedir(), '.gemini', 'tmp')
-  ];
+  const watchPaths = getEnabledTools().flatMap(tool => getWatchPaths(tool));
 
   console.log('👀 Watching for new sessions...');
 
-  const watcher = chokidar.watch(watchPaths, {
-    ignored: /(^|[\/\\])\../, // ignore dotfiles
+  const watcher = chokidar.watch(watchPaths.map(watched => watched.path), {
+    // A path below several watched folders (e.g. home for Aider and
+    // ~/.claude/projects) is kept if one of them needs it
+    ignored: (filePath, stats) => {
+      const verdicts = watchPaths
+        .map(watched => isIgnoredBelow(watched, filePath, stats))
+        .filter(verdict => verdict !== null);
+      return verdicts.length > 0 && verdicts.every(Boolean);
+    },
     persistent: true,
     ignoreInitial: true,
     depth: 5
@@ -43,7 +71,7 @@ export function startWatcher() {
 
   watcher.on('add', (filePath) => {
     // Only react to session files
-    if (filePath.endsWith('.jsonl') || (filePath.endsWith('.json') && filePath.includes('session-'))) {
+    if (isSessionFile(filePath)) {
       console.log(`📄 New session file detected: ${filePath}`);
       scheduleImport(filePath);
     }
@@ -51,7 +79,7 @@ export function startWatcher() {
 
   watcher.on('change', (filePath) => {
     // Session updated (e.g., new messages added)
-    if (filePath.endsWith('.jsonl') || (filePath.endsWith('.json') && filePath.includes('session-'))) {
+    if (isSessionFile(filePath)) {
       scheduleImport(filePath);
     }
   });
@@ -63,30 +91,106 @@ export function startWatcher() {
   return watcher;
 }
 
+/**
+ * Whether a watched folder can skip a path below it: what its importer says,
+ * or by default dotfiles (the folders themselves live in dot-directories)
+ * @returns {boolean|null} null if the path isn't below it
+ */
+function isIgnoredBelow({ path, ignored }, filePath, stats) {
+  const rel = relative(path, filePath);
+  if (rel.startsWith('..') || isAbsolute(rel)) return null;
+  if (!rel) return false;
+  return ignored ? ignored(filePath, stats) : /(^|[\/\\])\./.test(rel);
+}
+
+// Session files and prompt history files
+function isSessionFile(filePath) {
+  return getEnabledTools().some(tool =>
+    isToolSessionFile(tool, filePath) || isToolHistoryFile(tool, filePath)
+  );
+}
+
 /**
  * Schedule import with debouncing
  * (multiple file changes can happen rapidly, we want to batch them)
+ *
+ * Only the files that changed are imported, and they are streamed, so a busy
+ * session doesn't stall the server.
  */
 function scheduleImport(filePath) {
+  changedFiles.add(filePath);
   if (importTimer) {
     clearTimeout(importTimer);
   }
 
-  importTimer = setTimeout(async () => {
+  importTimer = setTimeout(() => {
+    importTimer = null;
+    runImport();
+  }, DEBOUNCE_MS);
+}
+
+/**
+ * Import the changed files, one batch at a time: two passes over the same
+ * file would both start from its last saved offset. Files that change while
+ * a batch runs are imported by one more run once it is done.
+ */
+function runImport() {
+  if (runningImport) {
+    importAgain = true;
+    return;
+  }
+
+  const files = [...changedFiles];
+  changedFiles.clear();
+  runningImport = (async () => {
     try {
-      // Determine which importer to use based on path
-      if (filePath.includes('.claude')) {
-        const count = await importClaudeSessions();
-        if (count > 0) console.log(`  ✅ Imported ${count} Claude session(s)`);
-      } else if (filePath.includes('.codex')) {
-        const count = await importCodexSessions();
-        if (count > 0) console.log(`  ✅ Imported ${count} Codex session(s)`);
-      } else if (filePath.includes('.gemini')) {
-        const count = await importGeminiSessions();
-        if (count > 0) console.log(`  ✅ Imported ${count} Gemini session(s)`);
+      const stats = await importSessionFiles(files);
+      for (const tool of getEnabledTools()) {
+        if (stats[tool.id] > 0) console.log(`  ✅ Imported ${stats[tool.id]} ${tool.name} session(s)`);
       }
+      scheduleTermsRefresh();
     } catch (error) {
       console.error('Import error:', error);
     }
-  }, DEBOUNCE_MS);
+  })();
+
+  runningImport.finally(() => {
+    runningImport = null;
+    if (importAgain) {
+      importAgain = false;
+      if (changedFiles.size > 0) runImport();
+    }
+  });
+}
+
+/**
+ * Recompute stale session terms a while after the first import that needs
+ * it. Not pushed back by later imports, so a session that is written to all
+ * the time still gets its terms refreshed every TERMS_REFRESH_MS.
+ */
+function scheduleTermsRefresh() {
+  if (termsTimer) return;
+
+  termsTimer = setTimeout(() => {
+    termsTimer = null;
+    refreshTermsInBackground();
+  }, TERMS_REFRESH_MS);
+}
+
+/**
+ * Recompute the terms of all stale sessions, TERMS_BATCH_SIZE at a time,
+ * yielding to the event loop between batches
+ */
+export async function refreshTermsInBackground() {
+  if (refreshingTerms) return;
+  refreshingTerms = true;
+  try {
+    while (refreshStaleSessionTerms({ limit: TERMS_BATCH_SIZE }) > 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  } catch (error) {
+    console.error('Terms refresh error:', error);
+  } finally {
+    refreshingTerms = false;
+  }
 }
@@ -11,19 +11,52 @@
  * - color: Tailwind CSS color class
  * - enabled: Whether the tool is active
  * - defaultPath: Path to session files (relative to home dir)
+ * - watch: Globs (relative to each root) of the files the watcher reacts to
  * - importer: Name of the importer module in src/importers/
+ * - history: Prompt history file relative to each root, one line per prompt typed (optional)
+ *
+ * Sessions are read from the tool's roots: defaultPath, unless config.json
+ * lists others (e.g. transcripts synced from other machines), each with an
+ * optional label that is stored on its sessions:
+ *
+ *   "tools": {
+ *     "claude": {
+ *       "roots": [
+ *         "~/.claude/projects",
+ *         { "path": "~/sync/laptop/.claude/projects", "label": "laptop" }
+ *       ]
+ *     }
+ *   }
  *
  * Adding a new AI tool:
  * 1. Create src/importers/newtool.js with importNewtoolSessions()
  * 2. Add entry to TOOLS array below
  * 3. Register in src/importers/index.js
+ *
+ * Tools can also come from plugins (see src/importers/plugins.js), which
+ * add themselves with registerTool() at startup.
  */
 
 import { homedir } from 'os';
-import { join } from 'path';
+import { join, relative, resolve, sep } from 'path';
+import { getConfig, resolveConfigPath } from './config.js';
 
 const home = homedir();
 
+// Where VS Code keeps extension data (Cline, Roo Code)
+const vscodeStorage = process.platform === 'darwin'
+  ? join(home, 'Library', 'Application Support', 'Code', 'User', 'globalStorage')
+  : process.platform === 'win32'
+    ? join(process.env.APPDATA || join(home, 'AppData', 'Roaming'), 'Code', 'User', 'globalStorage')
+    : join(home, '.config', 'Code', 'User', 'globalStorage');
+
+// Cursor's User folder (global and per-workspace state databases)
+const cursorUser = process.platform === 'darwin'
+  ? join(home, 'Library', 'Application Support', 'Cursor', 'User')
+  : process.platform === 'win32'
+    ? join(process.env.APPDATA || join(home, 'AppData', 'Roaming'), 'Cursor', 'User')
+    : join(home, '.config', 'Cursor', 'User');
+
 export const tools = [
   {
     id: 'claude',
@@ -32,7 +65,9 @@ export const tools = [
     color: 'text-orange-500',
     enabled: true,
     defaultPath: join(home, '.claude', 'projects'),
-    importer: 'claude'
+    watch: ['**/*.jsonl'],
+    importer: 'claude',
+    history: join('..', 'history.jsonl')
   },
   {
     id: 'codex',
@@ -41,7 +76,9 @@ export const tools = [
     color: 'text-green-500',
     enabled: true,
     defaultPath: join(home, '.codex', 'sessions'),
-    importer: 'codex'
+    watch: ['**/*.jsonl'],
+    importer: 'codex',
+    history: join('..', 'history.jsonl')
   },
   {
     id: 'gemini',
@@ -49,11 +86,66 @@ export const tools = [
     icon: 'fa-gem',
     color: 'text-blue-500',
     enabled: true,
-    defaultPath: join(home, '.gemini'),
+    defaultPath: join(home, '.gemini', 'tmp'),
+    watch: ['**/chats/session-*.json'],
     importer: 'gemini'
+  },
+  {
+    id: 'aider',
+    name: 'Aider',
+    icon: 'fa-terminal',
+    color: 'text-teal-500',
+    enabled: true,
+    // Repositories are searched below each root (home unless config.json
+    // lists others); the watcher follows the same folders for history files
+    defaultPath: home,
+    watch: ['**/.aider.chat.history.md'],
+    importer: 'aider'
+  },
+  {
+    id: 'cline',
+    name: 'Cline',
+    icon: 'fa-microchip',
+    color: 'text-indigo-500',
+    enabled: true,
+    defaultPath: join(vscodeStorage, 'saoudrizwan.claude-dev', 'tasks'),
+    watch: ['*/api_conversation_history.json'],
+    importer: 'cline'
+  },
+  {
+    id: 'roo',
+    name: 'Roo Code',
+    icon: 'fa-paw',
+    color: 'text-pink-500',
+    enabled: true,
+    defaultPath: join(vscodeStorage, 'rooveterinaryinc.roo-cline', 'tasks'),
+    watch: ['*/api_conversation_history.json'],
+    importer: 'cline'
+  },
+  {
+    id: 'cursor',
+    name: 'Cursor',
+    icon: 'fa-arrow-pointer',
+    color: 'text-cyan-500',
+    enabled: true,
+    defaultPath: cursorUser,
+    // SQLite databases: most writes land in the -wal file first
+    watch: ['globalStorage/state.vscdb{,-wal}', 'workspaceStorage/*/state.vscdb{,-wal}'],
+    importer: 'cursor'
   }
 ];
 
+/**
+ * Add a tool at runtime (used by importer plugins)
+ * @param {Object} tool - Same fields as the entries above
+ */
+export function registerTool(tool) {
+  if (getTool(tool.id)) {
+    throw new Error(`Tool "${tool.id}" is already registered`);
+  }
+  tools.push({ enabled: true, watch: [], ...tool });
+}
+
 /**
  * Get tool by ID
  */
@@ -68,6 +160,104 @@ export function getEnabledTools() {
   return tools.filter(t => t.enabled);
 }
 
+/**
+ * Get the folders a tool's sessions are read from
+ * @returns {Array<{ path: string, label: string|null, history: string|null }>}
+ *   Configured roots (config.json "tools.<id>.roots"), or the default path
+ */
+export function getToolRoots(tool) {
+  const configured = getConfig().tools?.[tool.id]?.roots;
+  const roots = Array.isArray(configured) && configured.length > 0
+    ? configured
+      .map(root => typeof root === 'string' ? { path: root } : root)
+      .filter(root => root && typeof root.path === 'string' && root.path.trim())
+      .map(root => ({
+        path: resolveConfigPath(root.path.trim()),
+        label: typeof root.label === 'string' && root.label.trim() ? root.label.trim() : null
+      }))
+    : [{ path: tool.defaultPath, label: null }];
+
+  return roots.map(root => ({
+    ...root,
+    history: tool.history ? resolve(root.path, tool.history) : null
+  }));
+}
+
+/**
+ * Find the root a file belongs to: it lies in the root's folder and matches
+ * one of the tool's watch globs
+ * @returns {Object|null} The root (see getToolRoots())
+ */
+export function getToolRootForFile(tool, filePath) {
+  return getToolRoots(tool).find(root => {
+    const rel = relative(root.path, filePath);
+    if (!rel || rel.startsWith('..')) return false;
+    const path = rel.split(sep).join('/');
+    return (tool.watch || []).some(glob => globToRegExp(glob).test(path));
+  }) || null;
+}
+
+/**
+ * Check whether a file belongs to a tool (see getToolRootForFile())
+ */
+export function isToolSessionFile(tool, filePath) {
+  return getToolRootForFile(tool, filePath) !== null;
+}
+
+/**
+ * Find the root whose prompt history a file is
+ * @returns {Object|null} The root (see getToolRoots())
+ */
+export function getToolRootForHistoryFile(tool, filePath) {
+  return getToolRoots(tool).find(root => root.history && root.history === resolve(filePath)) || null;
+}
+
+/**
+ * Check whether a file is a tool's prompt history
+ */
+export function isToolHistoryFile(tool, filePath) {
+  return getToolRootForHistoryFile(tool, filePath) !== null;
+}
+
+/**
+ * Convert a watch glob to a regular expression
+ * (supports *, **, ? and {a,b}; paths use forward slashes)
+ */
+function globToRegExp(glob) {
+  let pattern = '';
+  let braces = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no folder at all
+      if (glob[i + 2] === '/') {
+        pattern += '(?:.*/)?';
+        i += 2;
+      } else {
+        pattern += '.*';
+        i++;
+      }
+    } else if (c === '*') {
+      pattern += '[^/]*';
+    } else if (c === '?') {
+      pattern += '[^/]';
+    } else if (c === '{') {
+      braces++;
+      pattern += '(?:';
+    } else if (c === '}' && braces > 0) {
+      braces--;
+      pattern += ')';
+    } else if (c === ',' && braces > 0) {
+      pattern += '|';
+    } else {
+      pattern += c.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${pattern}$`);
+}
+
 /**
  * Get tool display info for frontend (without paths)
  */
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, statSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { useTempHome } from './helpers.js';
+
+const home = useTempHome();
+const { findAiderSessionFiles, isIgnoredAiderPath } = await import('../src/importers/aider.js');
+const { getWatchPaths } = await import('../src/importers/index.js');
+const { getTool } = await import('../src/tools.config.js');
+
+const HISTORY = '.aider.chat.history.md';
+
+function repo(...parts) {
+  const dir = join(home, ...parts);
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, HISTORY), '# aider chat started at 2026-01-01 10:00:00\n');
+  return join(dir, HISTORY);
+}
+
+const found = [repo('api'), repo('code', 'work', 'web')];
+repo('code', 'work', 'deep', 'too-deep');
+repo('.config', 'hidden');
+repo('app', 'node_modules', 'pkg');
+
+test('finds chat histories in the folders the search visits', () => {
+  assert.deepEqual(findAiderSessionFiles(home).sort(), found.sort());
+});
+
+test('the watcher skips exactly what the search skips', () => {
+  const ignored = (...parts) => isIgnoredAiderPath(home, join(home, ...parts));
+  assert.equal(ignored('code', 'work', 'web'), false);
+  assert.equal(ignored('code', 'work', 'web', HISTORY), false);
+  assert.equal(ignored('code', 'work', 'deep', 'too-deep'), true);
+  assert.equal(ignored('code', 'work', 'deep', 'too-deep', HISTORY), true);
+  assert.equal(ignored('.config'), true);
+  assert.equal(ignored('app', 'node_modules'), true);
+});
+
+test('the watcher skips files that are not chat histories', () => {
+  const file = join(home, 'api', 'README.md');
+  writeFileSync(file, 'api');
+  assert.equal(isIgnoredAiderPath(home, file, statSync(file)), true);
+  assert.equal(isIgnoredAiderPath(home, join(home, 'api'), statSync(join(home, 'api'))), false);
+});
+
+test('the watcher follows the Aider root itself, not the files found at startup', () => {
+  const [watched] = getWatchPaths(getTool('aider'));
+  assert.equal(watched.path, home);
+  assert.equal(watched.ignored(join(home, 'newrepo', HISTORY)), false);
+  assert.equal(watched.ignored(join(home, '.cache')), true);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { useTempHome } from './helpers.js';
+
+const home = useTempHome();
+const { initDb, getSession, getMessages } = await import('../src/db/index.js');
+const { importClaudeFile } = await import('../src/importers/claude.js');
+
+initDb({ path: join(home, 'chronicle.db') });
+const projectDir = join(home, '.claude', 'projects', '-tmp-app');
+mkdirSync(projectDir, { recursive: true });
+
+const ID = '00000000-0000-4000-8000-000000000001';
+const file = join(projectDir, `${ID}.jsonl`);
+
+function record(n, cwd, text) {
+  return JSON.stringify({
+    type: 'user',
+    uuid: `u${n}`,
+    parentUuid: n > 0 ? `u${n - 1}` : null,
+    sessionId: ID,
+    cwd,
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, n)).toISOString(),
+    message: { role: 'user', content: text }
+  }) + '\n';
+}
+
+test('takes the project from the cwd the session starts in', async () => {
+  writeFileSync(file, record(0, '/tmp/app', 'set up the workspace') + record(1, '/tmp/app/packages/web', 'now the web app'));
+  const result = await importClaudeFile(file);
+  assert.equal(result.imported, true);
+
+  const session = getSession(ID);
+  assert.equal(session.project, 'app');
+  assert.equal(session.project_path, '/tmp/app');
+});
+
+test('keeps the project when appended records were written after a cd', async () => {
+  appendFileSync(file, record(2, '/tmp/app/packages/web', 'fix the web build'));
+  const result = await importClaudeFile(file);
+  assert.equal(result.append, true);
+  assert.equal(result.records, 1);
+
+  const session = getSession(ID);
+  assert.equal(session.project, 'app');
+  assert.equal(session.project_path, '/tmp/app');
+  assert.equal(getMessages(ID).length, 3);
+});
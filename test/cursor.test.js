@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { utimesSync } from 'fs';
+import { join } from 'path';
+import { useTempHome, copyFixture } from './helpers.js';
+
+const home = useTempHome();
+const { initDb, getSession, getMessages, deleteSessions } = await import('../src/db/index.js');
+const { importCursorFile, createCursorContext } = await import('../src/importers/cursor.js');
+
+initDb({ path: join(home, 'chronicle.db') });
+const userDir = join(copyFixture('cursor', home), 'User');
+const globalDb = join(userDir, 'globalStorage', 'state.vscdb');
+const workspaceDb = join(userDir, 'workspaceStorage', 'webapp', 'state.vscdb');
+const context = createCursorContext(userDir);
+
+// Make the next pass re-read a database (its size and mtime are the import state)
+let clock = Date.now() / 1000;
+function touch(filePath) {
+  clock += 60;
+  utimesSync(filePath, clock, clock);
+}
+
+test('imports composers stored as bubble rows, with the workspace folder as project', async () => {
+  const result = await importCursorFile(globalDb, context);
+  assert.deepEqual(result.sessionIds.sort(), ['cursor-composer-inline', 'cursor-composer-rows']);
+
+  const session = getSession('cursor-composer-rows');
+  assert.equal(session.project_path, '/home/dev/code/webapp');
+  assert.equal(session.project, 'webapp');
+  assert.equal(session.summary, 'Fix login bug');
+  assert.equal(session.ended_at, new Date(1750000300000).toISOString());
+
+  const messages = getMessages('cursor-composer-rows');
+  assert.deepEqual(messages.map(m => [m.type, m.tool_name]), [
+    ['user', null],
+    ['assistant', null],
+    ['assistant', 'read_file'],
+    ['assistant', null]
+  ]);
+  assert.equal(messages[1].thinking, 'Check the hash compare');
+  assert.equal(messages[2].tool_output, 'compare(a, b)');
+  assert.deepEqual(JSON.parse(messages[2].tool_input), { target_file: 'src/auth.js' });
+  assert.equal(messages[2].model, 'gpt-5');
+  assert.equal(messages[3].model, 'claude-4-sonnet');
+});
+
+test('imports composers with their conversation inline', () => {
+  const session = getSession('cursor-composer-inline');
+  assert.equal(session.project_path, null);
+  assert.equal(session.summary, 'Add a README');
+  assert.deepEqual(getMessages('cursor-composer-inline').map(m => m.content), ['Add a README', 'Added README.md']);
+});
+
+test('imports chat panel tabs that have messages', async () => {
+  const result = await importCursorFile(workspaceDb, context);
+  assert.deepEqual(result.sessionIds, ['cursor-chat-tab-regex']);
+
+  const session = getSession('cursor-chat-tab-regex');
+  assert.equal(session.project_path, '/home/dev/code/webapp');
+  assert.equal(session.summary, 'Explain regex');
+  assert.deepEqual(getMessages('cursor-chat-tab-regex').map(m => [m.type, m.content]), [
+    ['user', 'What does ^\\d+$ match?'],
+    ['assistant', 'Only digits.']
+  ]);
+  assert.equal(getSession('cursor-chat-tab-empty'), undefined);
+});
+
+test('skips unchanged databases', async () => {
+  const result = await importCursorFile(globalDb, context);
+  assert.equal(result.skipped, true);
+});
+
+test('skips composers whose lastUpdatedAt matches the stored session', async () => {
+  touch(globalDb);
+  const result = await importCursorFile(globalDb, context);
+  assert.equal(result.skipped, undefined);
+  assert.deepEqual(result.sessionIds, []);
+  assert.equal(result.records, 0);
+  assert.equal(result.totalRecords, 2);
+});
+
+test('skips chat tabs whose content is unchanged', async () => {
+  touch(workspaceDb);
+  const result = await importCursorFile(workspaceDb, context);
+  assert.deepEqual(result.sessionIds, []);
+  assert.equal(result.records, 0);
+});
+
+test('leaves deleted sessions alone', async () => {
+  deleteSessions(['cursor-composer-inline', 'cursor-chat-tab-regex']);
+  touch(globalDb);
+  touch(workspaceDb);
+
+  const composers = await importCursorFile(globalDb, context);
+  const tabs = await importCursorFile(workspaceDb, context);
+  assert.deepEqual(composers.sessionIds, []);
+  assert.deepEqual(tabs.sessionIds, []);
+  assert.equal(getSession('cursor-composer-inline'), undefined);
+  assert.equal(getSession('cursor-chat-tab-regex'), undefined);
+});
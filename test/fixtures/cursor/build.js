@@ -0,0 +1,76 @@
+/**
+ * Builds the Cursor fixture databases in this folder (run it after changing
+ * them: node test/fixtures/cursor/build.js)
+ *
+ * - User/globalStorage/state.vscdb: a composer with its conversation inline
+ *   (older Cursor) and one with bubbleId:<composer>:<bubble> rows (newer)
+ * - User/workspaceStorage/webapp/state.vscdb: the workspace's composer list
+ *   and two chat panel tabs (one of them empty), with workspace.json
+ */
+
+import Database from 'better-sqlite3';
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const USER_DIR = join(dirname(fileURLToPath(import.meta.url)), 'User');
+
+function createDatabase(filePath, tables) {
+  mkdirSync(dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  for (const table of tables) {
+    db.exec(`CREATE TABLE ${table} (key TEXT UNIQUE ON CONFLICT REPLACE, value BLOB)`);
+  }
+  return db;
+}
+
+rmSync(USER_DIR, { recursive: true, force: true });
+
+const global = createDatabase(join(USER_DIR, 'globalStorage', 'state.vscdb'), ['ItemTable', 'cursorDiskKV']);
+const put = global.prepare('INSERT INTO cursorDiskKV VALUES (?, ?)');
+put.run('composerData:composer-rows', JSON.stringify({
+  composerId: 'composer-rows',
+  name: 'Fix login bug',
+  modelConfig: { modelName: 'gpt-5' },
+  createdAt: 1750000000000,
+  lastUpdatedAt: 1750000300000,
+  fullConversationHeadersOnly: [{ bubbleId: 'b1', type: 1 }, { bubbleId: 'b2', type: 2 }, { bubbleId: 'b3', type: 2 }]
+}));
+put.run('bubbleId:composer-rows:b1', JSON.stringify({
+  bubbleId: 'b1', type: 1, text: 'The login form rejects valid passwords', createdAt: '2025-06-15T15:06:40.000Z'
+}));
+put.run('bubbleId:composer-rows:b2', JSON.stringify({
+  bubbleId: 'b2',
+  type: 2,
+  text: '',
+  thinking: { text: 'Check the hash compare' },
+  toolFormerData: { name: 'read_file', rawArgs: '{"target_file":"src/auth.js"}', result: 'compare(a, b)', status: 'completed' }
+}));
+put.run('bubbleId:composer-rows:b3', JSON.stringify({
+  bubbleId: 'b3', type: 2, modelInfo: { modelName: 'claude-4-sonnet' }, text: 'The compare used == on buffers, fixed.'
+}));
+put.run('composerData:composer-inline', JSON.stringify({
+  composerId: 'composer-inline',
+  createdAt: 1740000000000,
+  lastUpdatedAt: 1740000100000,
+  conversation: [{ bubbleId: 'o1', type: 1, text: 'Add a README' }, { bubbleId: 'o2', type: 2, text: 'Added README.md' }]
+}));
+global.close();
+
+const workspaceDir = join(USER_DIR, 'workspaceStorage', 'webapp');
+const workspace = createDatabase(join(workspaceDir, 'state.vscdb'), ['ItemTable']);
+writeFileSync(join(workspaceDir, 'workspace.json'), JSON.stringify({ folder: 'file:///home/dev/code/webapp' }));
+const set = workspace.prepare('INSERT INTO ItemTable VALUES (?, ?)');
+set.run('composer.composerData', JSON.stringify({ allComposers: [{ composerId: 'composer-rows' }] }));
+set.run('workbench.panel.aichat.view.aichat.chatdata', JSON.stringify({
+  tabs: [
+    {
+      tabId: 'tab-regex',
+      chatTitle: 'Explain regex',
+      lastSendTime: 1730000000000,
+      bubbles: [{ id: 'x1', type: 'user', text: 'What does ^\\d+$ match?' }, { id: 'x2', type: 'ai', rawText: 'Only digits.' }]
+    },
+    { tabId: 'tab-empty', bubbles: [] }
+  ]
+}));
+workspace.close();
@@ -0,0 +1,40 @@
+/**
+ * Test Helpers
+ *
+ * Tests run against a throwaway home folder, so the user's config, plugins
+ * and database are never read or touched. Set it up before the source
+ * modules load (they resolve paths under home when imported):
+ *
+ *   const home = useTempHome();
+ *   const { initDb } = await import('../src/db/index.js');
+ */
+
+import { after } from 'node:test';
+import { cpSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+export const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+/**
+ * Point HOME at a new temporary folder (removed when the tests are done)
+ * @returns {string} The folder
+ */
+export function useTempHome() {
+  const home = mkdtempSync(join(tmpdir(), 'vcc-test-'));
+  process.env.HOME = home;
+  process.env.USERPROFILE = home;
+  after(() => rmSync(home, { recursive: true, force: true }));
+  return home;
+}
+
+/**
+ * Copy a fixture folder into a folder tests may change
+ * @returns {string} Path of the copy
+ */
+export function copyFixture(name, targetDir) {
+  const target = join(targetDir, name);
+  cpSync(join(FIXTURES_DIR, name), target, { recursive: true });
+  return target;
+}
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, mkdirSync, utimesSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { useTempHome } from './helpers.js';
+
+const home = useTempHome();
+const { initDb, getSession, getMessages, addTag, getStarsForSession } = await import('../src/db/index.js');
+const { importClaudeFile } = await import('../src/importers/claude.js');
+const { getFileImportPlan } = await import('../src/importers/utils.js');
+
+initDb({ path: join(home, 'chronicle.db') });
+const projectDir = join(home, '.claude', 'projects', '-tmp-app');
+mkdirSync(projectDir, { recursive: true });
+
+const ID = '00000000-0000-4000-8000-000000000001';
+const file = join(projectDir, `${ID}.jsonl`);
+
+function record(n, text) {
+  return JSON.stringify({
+    type: 'user',
+    uuid: `u${n}`,
+    parentUuid: n > 0 ? `u${n - 1}` : null,
+    sessionId: ID,
+    cwd: '/tmp/app',
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, n)).toISOString(),
+    message: { role: 'user', content: text }
+  }) + '\n';
+}
+
+// Rewrites can happen within the mtime resolution: set one that differs
+let clock = Date.now() / 1000;
+function write(content) {
+  writeFileSync(file, content);
+  clock += 60;
+  utimesSync(file, clock, clock);
+}
+
+function contents() {
+  return getMessages(ID).map(m => m.content);
+}
+
+test('a new file is imported in full', async () => {
+  write(record(0, 'first') + record(1, 'second'));
+  assert.equal(getFileImportPlan(file).mode, 'full');
+
+  const result = await importClaudeFile(file);
+  assert.equal(result.records, 2);
+  assert.deepEqual(contents(), ['first', 'second']);
+});
+
+test('an unchanged file is skipped', async () => {
+  assert.equal(getFileImportPlan(file).mode, 'skip');
+  const result = await importClaudeFile(file);
+  assert.equal(result.skipped, true);
+});
+
+test('a grown file is read from the stored offset, keeping stars', async () => {
+  addTag(ID, 'u0', 'important', 'keep me');
+  appendFileSync(file, record(2, 'third'));
+
+  const plan = getFileImportPlan(file);
+  assert.equal(plan.mode, 'append');
+  assert.equal(plan.records, 2);
+
+  const result = await importClaudeFile(file);
+  assert.equal(result.append, true);
+  assert.equal(result.records, 1);
+  assert.deepEqual(contents(), ['first', 'second', 'third']);
+  assert.equal(getSession(ID).message_count, 3);
+  assert.deepEqual(getStarsForSession(ID).map(s => [s.message_id, s.note]), [['u0', 'keep me']]);
+});
+
+test('a file that shrank is imported again in full', async () => {
+  write(record(0, 'first'));
+  assert.equal(getFileImportPlan(file).mode, 'full');
+
+  await importClaudeFile(file);
+  assert.deepEqual(contents(), ['first']);
+  assert.equal(getSession(ID).message_count, 1);
+});
+
+test('a file rewritten to the same size is imported again in full', async () => {
+  write(record(0, 'first') + record(1, 'second'));
+  await importClaudeFile(file);
+
+  write(record(0, 'FIRST') + record(1, 'SECOND'));
+  assert.equal(getFileImportPlan(file).mode, 'full');
+
+  await importClaudeFile(file);
+  assert.deepEqual(contents(), ['FIRST', 'SECOND']);
+});
+
+test('a file rewritten to a larger size is imported again in full', async () => {
+  write(record(0, 'a much longer first prompt') + record(1, 'second') + record(2, 'third'));
+  assert.equal(getFileImportPlan(file).mode, 'full');
+
+  await importClaudeFile(file);
+  assert.deepEqual(contents(), ['a much longer first prompt', 'second', 'third']);
+  assert.equal(getSession(ID).message_count, 3);
+});
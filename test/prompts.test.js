@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { useTempHome } from './helpers.js';
+
+const home = useTempHome();
+const { initDb, getDb, insertPrompts, getPrompts } = await import('../src/db/index.js');
+const { parseSearchQuery } = await import('../src/query.js');
+
+const dbPath = join(home, 'chronicle.db');
+initDb({ path: dbPath });
+
+const ID = 'c0ffee5eed' + '0'.repeat(54);
+insertPrompts([
+  { id: ID, tool: 'claude', session_id: null, project: 'api', project_path: null, text: 'Bump the cache size', timestamp: '2026-01-01T00:00:00Z' }
+]);
+
+function search(text) {
+  return getPrompts({ query: parseSearchQuery(text).value }).prompts.map(p => p.id);
+}
+
+test('finds prompts by their text', () => {
+  assert.deepEqual(search('cache'), [ID]);
+});
+
+test('does not match prompt IDs', () => {
+  assert.deepEqual(search('c0ffee5eed'), []);
+});
+
+test('rebuilds an index created with a searchable prompt_id', () => {
+  const db = getDb();
+  db.exec(`
+    DROP TABLE prompts_fts;
+    CREATE VIRTUAL TABLE prompts_fts USING fts5(prompt_id, text, tokenize='unicode61');
+    INSERT INTO prompts_fts (prompt_id, text) SELECT id, text FROM prompts;
+  `);
+  assert.deepEqual(search('c0ffee5eed'), [ID]);
+
+  initDb({ path: dbPath });
+  assert.deepEqual(search('c0ffee5eed'), []);
+  assert.deepEqual(search('cache'), [ID]);
+});
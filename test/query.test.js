@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { parseSearchQuery, toFtsQuery } from '../src/query.js';
+
+function parse(input) {
+  const result = parseSearchQuery(input);
+  assert.equal(result.error, undefined, `unexpected error for ${input}: ${result.error}`);
+  return result.value;
+}
+
+function parseError(input) {
+  const result = parseSearchQuery(input);
+  assert.ok(result.error, `expected an error for ${input}`);
+  return result.error;
+}
+
+// A table shaped like messages_fts, to check that MATCH accepts what toFtsQuery() builds
+const fts = new Database(':memory:');
+fts.exec(`CREATE VIRTUAL TABLE messages_fts USING fts5(
+  message_id UNINDEXED, session_id UNINDEXED, content, thinking, tool_input, tool_output, tokenize='unicode61'
+)`);
+fts.prepare("INSERT INTO messages_fts (message_id, content) VALUES ('m1', 'the api config lives in config.yaml')").run();
+
+function match(input, scope) {
+  const query = toFtsQuery(parse(input), scope);
+  return fts.prepare('SELECT message_id FROM messages_fts WHERE messages_fts MATCH ?').pluck().all(query);
+}
+
+test('words are ANDed and prefix-matched', () => {
+  assert.deepEqual(parse('api config').groups, [[{ text: 'api', phrase: false }, { text: 'config', phrase: false }]]);
+  assert.equal(toFtsQuery(parse('api config')), '"api"* "config"*');
+  assert.deepEqual(match('ap conf'), ['m1']);
+});
+
+test('quoted phrases keep their words in order', () => {
+  assert.deepEqual(parse('"api config" yaml').groups, [[{ text: 'api config', phrase: true }, { text: 'yaml', phrase: false }]]);
+  assert.deepEqual(match('"api config"'), ['m1']);
+  assert.deepEqual(match('"config api"'), []);
+});
+
+test('quotes inside words and phrases cannot break out of the FTS5 string', () => {
+  assert.deepEqual(parse('it"s').groups, [[{ text: 'its', phrase: false }]]);
+  assert.doesNotThrow(() => match('"config" "a""b"'));
+  assert.doesNotThrow(() => match("don't AND NOT NEAR(x) * ^"));
+});
+
+test('unbalanced quotes are an error', () => {
+  assert.match(parseError('api "config'), /Unclosed quote at position 5/);
+  assert.match(parseError('project:"my app'), /Unclosed quote/);
+});
+
+test('empty phrases are an error, punctuation-only words are ignored', () => {
+  assert.match(parseError('api ""'), /Empty phrase at position 5/);
+  assert.match(parseError('api "  "'), /Empty phrase/);
+  assert.deepEqual(parse('api ... --').groups, [[{ text: 'api', phrase: false }]]);
+});
+
+test('a leading - excludes words and phrases', () => {
+  const query = parse('config -legacy -"old api"');
+  assert.deepEqual(query.exclude, [{ text: 'legacy', phrase: false }, { text: 'old api', phrase: true }]);
+  assert.equal(toFtsQuery(query), '(("config"*) NOT "legacy"*) NOT "old api"');
+  assert.deepEqual(match('config -"api config"'), []);
+  assert.deepEqual(match('config -"config api"'), ['m1']);
+});
+
+test('exclusions need something to search for', () => {
+  assert.match(parseError('-legacy'), /Exclusions need something to search for/);
+  assert.match(parseError('-"old api" tool:codex'), /Exclusions need something to search for/);
+});
+
+test('a lone - is a word separator, not an exclusion', () => {
+  assert.deepEqual(parse('api - config').exclude, []);
+});
+
+test('OR binds looser than the implicit AND', () => {
+  const query = parse('a b OR c');
+  assert.deepEqual(query.groups.map(group => group.map(term => term.text)), [['a', 'b'], ['c']]);
+  assert.equal(toFtsQuery(query), '("a"* "b"*) OR ("c"*)');
+  assert.deepEqual(match('nothing OR yaml'), ['m1']);
+});
+
+test('OR needs a word or phrase on both sides', () => {
+  assert.match(parseError('OR cache'), /OR at position 1 needs a word or phrase before it/);
+  assert.match(parseError('cache OR'), /OR needs a word or phrase after it/);
+  assert.match(parseError('cache OR OR redis'), /OR at position 10 needs a word or phrase before it/);
+  assert.match(parseError('cache OR -redis'), /not an exclusion/);
+  assert.match(parseError('cache OR tool:codex'), /OR joins words and phrases, not filters/);
+});
+
+test('lowercase or and a quoted "OR" are words', () => {
+  assert.equal(parse('cache or redis').groups.length, 1);
+  assert.deepEqual(parse('"OR"').groups, [[{ text: 'OR', phrase: true }]]);
+});
+
+test('filters take comma lists, quoted values and negation', () => {
+  assert.deepEqual(parse('tool:codex,Claude project:"my app" -tool:aider').filters, [
+    { field: 'tool', values: ['codex', 'claude'], negate: false },
+    { field: 'project', values: ['my app'], negate: false },
+    { field: 'tool', values: ['aider'], negate: true }
+  ]);
+  assert.deepEqual(parse('has:thinking').groups, []);
+  assert.equal(toFtsQuery(parse('has:thinking')), null);
+});
+
+test('unknown filters and bad filter values are errors', () => {
+  assert.match(parseError('todo: fix'), /Unknown filter "todo:"/);
+  assert.match(parseError('tool:'), /tool: needs a value/);
+  assert.match(parseError('role:system'), /Unknown role "system"/);
+  assert.match(parseError('has:bugs'), /Unknown has: value "bugs"/);
+  assert.deepEqual(parse('"todo:" fix').groups[0][0], { text: 'todo:', phrase: true });
+  assert.deepEqual(parse('see http://example.com').groups[0].map(term => term.text), ['see', 'http://example.com']);
+});
+
+test('after: and before: need a real calendar day', () => {
+  assert.deepEqual(parse('after:2025-06-01').filters, [{ field: 'after', values: ['2025-06-01'], negate: false }]);
+  for (const day of ['2025-6-1', '2025-02-30', '2025-13-01', 'yesterday', '2025-06-01,2025-07-01']) {
+    assert.match(parseError(`after:${day}`), /after: needs a date like 2025-06-01/);
+  }
+  assert.match(parseError('before:2025-02-29'), /before: needs a date/);
+  assert.match(parseError('-after:2025-06-01'), /after: can't be negated \(use before:\)/);
+});
+
+test('a scope limits the MATCH to its columns', () => {
+  assert.equal(toFtsQuery(parse('api'), 'thinking'), '{thinking} : ("api"*)');
+  assert.deepEqual(match('api', 'messages'), ['m1']);
+  assert.deepEqual(match('api', 'tools'), []);
+});
+
+test('queries that parse never make FTS5 throw', () => {
+  const inputs = [
+    'a AND b', 'NOT x', 'NEAR(a b)', 'a:b', '(a OR b)', 'a* b^', '{content}: x', 'x -"y z" OR w',
+    "O'Reilly", 'ümlaut straße', '日本語', 'C++ c#', '$HOME/.config', 'a "b c" OR "d" -e -"f g"'
+  ];
+  for (const input of inputs) {
+    const result = parseSearchQuery(input);
+    if (result.error) continue;
+    for (const scope of ['all', 'messages', 'thinking', 'tools']) {
+      const query = toFtsQuery(result.value, scope);
+      if (query === null) continue;
+      assert.doesNotThrow(() => fts.prepare('SELECT 1 FROM messages_fts WHERE messages_fts MATCH ?').all(query), input);
+    }
+  }
+});
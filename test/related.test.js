@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { useTempHome } from './helpers.js';
+
+const home = useTempHome();
+const {
+  initDb, getDb, deleteSessions, refreshSessionTerms, refreshStaleSessionTerms, getRelatedSessions
+} = await import('../src/db/index.js');
+const { importAllSessions, importSessionFiles } = await import('../src/importers/index.js');
+
+const dbPath = join(home, 'chronicle.db');
+initDb({ path: dbPath });
+const projectDir = join(home, '.claude', 'projects', '-tmp-app');
+mkdirSync(projectDir, { recursive: true });
+
+const IDS = ['00000000-0000-4000-8000-000000000001', '00000000-0000-4000-8000-000000000002'];
+const files = IDS.map(id => join(projectDir, `${id}.jsonl`));
+
+function record(sessionId, n, text) {
+  return JSON.stringify({
+    type: 'user',
+    uuid: `${sessionId}-${n}`,
+    parentUuid: n > 0 ? `${sessionId}-${n - 1}` : null,
+    sessionId,
+    cwd: '/tmp/app',
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, n)).toISOString(),
+    message: { role: 'user', content: text }
+  }) + '\n';
+}
+
+function terms(sessionId) {
+  return getDb().prepare('SELECT term FROM session_terms WHERE session_id = ?').pluck().all(sessionId);
+}
+
+function stale() {
+  return getDb().prepare('SELECT session_id FROM stale_session_terms').pluck().all();
+}
+
+writeFileSync(files[0], record(IDS[0], 0, 'the websocket reconnect loop drops heartbeat frames'));
+writeFileSync(files[1], record(IDS[1], 0, 'websocket heartbeat frames get lost on reconnect'));
+
+test('a full import leaves terms to a refresh after it', async () => {
+  await importAllSessions({ sources: { claude: join(home, '.claude', 'projects') } });
+  assert.deepEqual(stale().sort(), IDS);
+  assert.deepEqual(terms(IDS[0]), []);
+
+  assert.equal(refreshStaleSessionTerms({ limit: 1 }), 1);
+  assert.equal(stale().length, 1);
+  assert.equal(refreshStaleSessionTerms(), 1);
+  assert.deepEqual(stale(), []);
+  assert.ok(terms(IDS[0]).includes('websocket'));
+  assert.deepEqual(getRelatedSessions(IDS[0]).map(s => s.id), [IDS[1]]);
+});
+
+test('importing changed files only marks their terms stale', async () => {
+  appendFileSync(files[0], record(IDS[0], 1, 'terraform ingress annotations'));
+  await importSessionFiles([files[0]]);
+  assert.deepEqual(stale(), [IDS[0]]);
+  assert.ok(!terms(IDS[0]).includes('terraform'));
+});
+
+test('related sessions bring the session\'s own terms up to date', () => {
+  getRelatedSessions(IDS[0]);
+  assert.deepEqual(stale(), []);
+  assert.ok(terms(IDS[0]).includes('terraform'));
+});
+
+test('terms are not kept for sessions that are gone', () => {
+  deleteSessions([IDS[1]]);
+  refreshSessionTerms([IDS[1], 'never-imported']);
+  const stats = getDb().prepare('SELECT session_id FROM session_term_stats').pluck().all();
+  assert.deepEqual(stats, [IDS[0]]);
+  assert.deepEqual(terms(IDS[1]), []);
+});
+
+test('opening the database marks sessions without terms stale, except in workers', () => {
+  getDb().prepare('DELETE FROM session_term_stats').run();
+  initDb({ path: dbPath, worker: true });
+  assert.deepEqual(stale(), []);
+
+  initDb({ path: dbPath });
+  assert.deepEqual(stale(), [IDS[0]]);
+  assert.ok(terms(IDS[0]).includes('terraform'));
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync } from 'fs';
+import { setTimeout as sleep } from 'timers/promises';
+import { join } from 'path';
+import { useTempHome } from './helpers.js';
+
+const home = useTempHome();
+const { initDb, getImportLog } = await import('../src/db/index.js');
+const { loadPlugins } = await import('../src/importers/plugins.js');
+const { importInWorkers } = await import('../src/importers/workers.js');
+
+initDb({ path: join(home, 'chronicle.db') });
+
+// A plugin whose files decide how the worker importing them behaves
+const pluginsDir = join(home, 'plugins');
+mkdirSync(pluginsDir);
+writeFileSync(join(pluginsDir, 'flaky.mjs'), `
+import { basename } from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+
+export default () => ({
+  apiVersion: 1,
+  tool: { id: 'flaky', name: 'Flaky', defaultPath: '${home}' },
+  findFiles: async () => [],
+  importFile: async (filePath) => {
+    const name = basename(filePath);
+    if (name.startsWith('exit')) process.exit(3);
+    if (name.startsWith('throw')) setTimeout(() => { throw new Error('worker crashed'); });
+    await sleep(name.startsWith('slow') ? 50 : 5);
+    return { imported: true, records: 1, bytes: 1 };
+  }
+});
+`);
+await loadPlugins({ dir: pluginsDir });
+
+const filesDir = join(home, 'files');
+mkdirSync(filesDir);
+function tasks(names) {
+  return names.map(name => {
+    const filePath = join(filesDir, name);
+    writeFileSync(filePath, name);
+    return { tool: 'flaky', importer: 'flaky', root: filesDir, label: null, filePath };
+  });
+}
+
+function loggedFiles() {
+  return getImportLog({ tool: 'flaky', limit: -1 }).length;
+}
+
+test('a file whose worker exits is recorded as failed, and the rest still run', async () => {
+  const { results, records } = await importInWorkers(tasks(['a', 'exit', 'b', 'c', 'd']), { workers: 2 });
+  assert.equal(results.length, 5);
+  assert.match(results[1].error, /exited \(code 3\)/);
+  assert.equal(results[1].status, 'failed');
+  for (const i of [0, 2, 3, 4]) assert.equal(results[i].imported, true);
+  assert.equal(records, 4);
+});
+
+test('a worker error stops the other workers', async () => {
+  const names = ['throw', ...Array.from({ length: 12 }, (_, i) => `slow-${i}`)];
+  const before = loggedFiles();
+  await assert.rejects(importInWorkers(tasks(names), { workers: 2 }), /worker crashed/);
+
+  const atRejection = loggedFiles();
+  await sleep(300);
+  assert.equal(loggedFiles(), atRejection);
+  assert.ok(atRejection - before < names.length - 1);
+});